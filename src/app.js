@@ -0,0 +1,6 @@
+// Entry point of index.html: the full page, one cube with all its panels
+// - Embedding a cube elsewhere: import mountPsybik from main.js, see the Readme
+
+import { mountPsybik } from './main.js';
+
+mountPsybik(document.getElementById('app'), { app: true });
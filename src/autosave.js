@@ -0,0 +1,103 @@
+// Autosave: the cube, its history and the mode survive a reload
+// - One localStorage entry: { version, size, cube, turnLog, history, redo, setup, mode, scramble, camera }
+// - The cube is stored as a share-link code (share.js), turns as move objects, so a save is
+//   small and every part is checked on load
+// - Saves carry a schema version. Older ones are upgraded one version at a time by MIGRATIONS;
+//   a save that cannot be read or upgraded is dropped and the page starts fresh
+
+import { encodeCubeState, decodeCubeState } from './share.js';
+
+const STORAGE_KEY = 'psybik.autosave';
+export const AUTOSAVE_VERSION = 1;
+
+const MODES = ['idle', 'setup', 'play', 'tutorial'];
+
+// version -> function turning a save of that version into one of the next version.
+// Add an entry whenever the format changes, so saves from older pages keep working.
+const MIGRATIONS = {};
+
+function isMove(m, size) {
+  return Boolean(m) && ['x', 'y', 'z'].includes(m.axis) && (m.sign === 1 || m.sign === -1) &&
+    typeof m.cw === 'boolean' && (m.quarters === 1 || m.quarters === 2) &&
+    (m.layers === undefined || (Array.isArray(m.layers) && m.layers.length > 0 &&
+      m.layers.every(d => Number.isInteger(d) && d >= 0 && d < size)));
+}
+
+function readMoves(list, size) {
+  if (!Array.isArray(list) || !list.every(m => isMove(m, size))) throw new Error('bad move list');
+  return list.map(({ axis, sign, cw, quarters, layers }) => (layers ? { axis, sign, cw, quarters, layers: layers.slice() } : { axis, sign, cw, quarters }));
+}
+
+function migrate(saved) {
+  let out = saved;
+  while (out.version < AUTOSAVE_VERSION) {
+    const upgrade = MIGRATIONS[out.version];
+    if (!upgrade) throw new Error(`no migration from version ${out.version}`);
+    out = upgrade(out);
+  }
+  if (out.version !== AUTOSAVE_VERSION) throw new Error(`saved by a newer version (${out.version})`);
+  return out;
+}
+
+// The saved session, or null if there is none or it cannot be used:
+// { size, state, turnLog, history, redo, setup, mode, scramble, camera: [x, y, z] | null }
+export function loadAutosave() {
+  let raw;
+  try {
+    raw = localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+  if (!raw) return null;
+  try {
+    const saved = migrate(JSON.parse(raw));
+    const state = decodeCubeState(saved.cube);
+    const size = state.pieces ? state.size : 3;
+    const camera = Array.isArray(saved.camera) && saved.camera.length === 3 && saved.camera.every(Number.isFinite)
+      ? saved.camera
+      : null;
+    return {
+      size,
+      state,
+      turnLog: readMoves(saved.turnLog, size),
+      history: readMoves(saved.history, size),
+      redo: readMoves(saved.redo, size),
+      setup: readMoves(saved.setup, size),
+      mode: MODES.includes(saved.mode) ? saved.mode : 'idle',
+      scramble: typeof saved.scramble === 'string' ? saved.scramble : '',
+      camera
+    };
+  } catch (e) {
+    console.warn('Saved session could not be restored, starting fresh:', e.message || e);
+    clearAutosave();
+    return null;
+  }
+}
+
+// Takes the fields loadAutosave returns; the size comes with the state
+export function saveAutosave({ state, turnLog, history, redo, setup, mode, scramble, camera }) {
+  const saved = {
+    version: AUTOSAVE_VERSION,
+    cube: encodeCubeState(state),
+    turnLog,
+    history,
+    redo,
+    setup,
+    mode: MODES.includes(mode) ? mode : 'idle',
+    scramble,
+    camera
+  };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  } catch {
+    // Storage full or disabled: the session lasts for this page only
+  }
+}
+
+export function clearAutosave() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // ignore
+  }
+}
@@ -0,0 +1,50 @@
+// How close a cube-state is to solved, for the Play bar
+// - A piece counts only if it is in its home slot with its home orientation; centers count
+//   when untwisted (visible on image faces)
+// - Measured in the whole-cube orientation the centers are in, so rotations change nothing
+// - Other sizes: a cubelet counts when it is home under the whole-cube rotation that puts
+//   the most cubelets home; its type is the number of faces it shows
+// - estimateMoves gives the length of a quick solver solution as a distance-to-solve hint (3x3)
+
+import { CORNERS, EDGES, CENTERS, applyMoves, clone, homeRotation, transformVector } from './cube-state.js';
+import { solve } from './solver.js';
+
+function scorePieces(state) {
+  const max = (state.size - 1) / 2;
+  const key = v => v.join();
+  const typeOf = home => ['centers', 'edges', 'corners'][home.filter(c => Math.abs(c) === max).length - 1];
+  // Candidate frames: the rotations the cubelets actually have
+  const frames = new Map(state.pieces.map(p => [key(p.rotation), p.rotation]));
+  let best = null;
+  for (const r of frames.values()) {
+    const home = state.pieces.filter(p => key(p.rotation) === key(r) && key(p.position) === key(transformVector(r, p.home)));
+    if (!best || home.length > best.length) best = home;
+  }
+  const score = { corners: { solved: 0, total: 0 }, edges: { solved: 0, total: 0 }, centers: { solved: 0, total: 0 } };
+  for (const p of state.pieces) score[typeOf(p.home)].total++;
+  for (const p of best) score[typeOf(p.home)].solved++;
+  score.fraction = best.length / state.pieces.length;
+  return score;
+}
+
+// { corners, edges, centers: { solved, total }, fraction } with fraction over all pieces
+// (26 on the 3x3)
+export function scoreState(state) {
+  if (state.pieces) return scorePieces(state);
+  const upright = applyMoves(clone(state), homeRotation(state));
+  const count = (perm, ori) => perm.filter((p, i) => p === i && ori[i] === 0).length;
+  const corners = { solved: count(upright.cp, upright.co), total: CORNERS.length };
+  const edges = { solved: count(upright.ep, upright.eo), total: EDGES.length };
+  const centers = { solved: count(upright.centerPerm, upright.centerTwist), total: CENTERS.length };
+  const solved = corners.solved + edges.solved + centers.solved;
+  const total = corners.total + edges.total + centers.total;
+  return { corners, edges, centers, fraction: solved / total };
+}
+
+// Number of turns of the first two-phase solution (including center untwisting), 0 when
+// solved. Not optimal, but stable: the same state always gives the same estimate.
+// null for sizes the solver does not handle.
+export function estimateMoves(state) {
+  if (state.pieces) return null;
+  return solve(state, { timeLimit: Infinity, nodeLimit: 1 }).length;
+}
@@ -0,0 +1,385 @@
+// Logical cube state, independent of the Three.js meshes
+// - Corners, edges and centers as permutation + orientation arrays
+// - Moves are the same { axis, sign, cw, quarters, layers } objects the renderer animates;
+//   layers are depths counted from the face (0 = outer, default [0]), so slices,
+//   wide turns and whole-cube rotations are ordinary moves
+// - Pure logic so solvers, scoring and tests can run headless in Node
+// - The 3x3 uses piece arrays (what the solver needs); other sizes (2x2..7x7) use a generic
+//   model that lists every visible cubelet with its position and rotation
+
+export const FACES = ['U', 'R', 'F', 'D', 'L', 'B'];
+
+export const FACE_AXIS = {
+  U: { axis: 'y', sign: 1 },
+  D: { axis: 'y', sign: -1 },
+  R: { axis: 'x', sign: 1 },
+  L: { axis: 'x', sign: -1 },
+  F: { axis: 'z', sign: 1 },
+  B: { axis: 'z', sign: -1 }
+};
+
+const FACE_NORMAL = {
+  U: [0, 1, 0], D: [0, -1, 0],
+  R: [1, 0, 0], L: [-1, 0, 0],
+  F: [0, 0, 1], B: [0, 0, -1]
+};
+
+// Sticker "up" direction of each center, matching the image slicing in main.js
+const CENTER_UP = {
+  U: [0, 0, -1], D: [0, 0, 1],
+  R: [0, 1, 0], L: [0, 1, 0],
+  F: [0, 1, 0], B: [0, 1, 0]
+};
+
+// Slots; letter order is the facelet order (U/D or F/B facelet first, then clockwise).
+// Orientation conventions follow Kociemba so the solver can use the arrays directly.
+export const CORNERS = ['URF', 'UFL', 'ULB', 'UBR', 'DFR', 'DLF', 'DBL', 'DRB'];
+export const EDGES = ['UR', 'UF', 'UL', 'UB', 'DR', 'DF', 'DL', 'DB', 'FR', 'FL', 'BL', 'BR'];
+export const CENTERS = FACES;
+
+const AXIS_INDEX = { x: 0, y: 1, z: 2 };
+
+function add(a, b) { return [a[0] + b[0], a[1] + b[1], a[2] + b[2]]; }
+function cross(a, b) { return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]]; }
+function sameVec(a, b) { return a[0] === b[0] && a[1] === b[1] && a[2] === b[2]; }
+
+function slotPosition(name) {
+  return [...name].reduce((p, f) => add(p, FACE_NORMAL[f]), [0, 0, 0]);
+}
+
+// One clockwise quarter of v around the outward normal n
+function clockwise(v, n) { return cross(v, n); }
+
+function rotateQuarter(v, axis, dir) {
+  const [x, y, z] = v;
+  if (axis === 'x') return dir > 0 ? [x, -z, y] : [x, z, -y];
+  if (axis === 'y') return dir > 0 ? [z, y, -x] : [-z, y, x];
+  return dir > 0 ? [-y, x, z] : [y, -x, z];
+}
+
+function rotationOf(move) {
+  const dir = (move.cw ? -1 : 1) * move.sign; // +1 = counter-clockwise around +axis
+  const quarters = Math.max(1, move.quarters || 1);
+  return v => {
+    let out = v;
+    for (let q = 0; q < quarters; q++) out = rotateQuarter(out, move.axis, dir);
+    return out;
+  };
+}
+
+// Coordinates along the move axis that a move turns. Cubelet coordinates of an NxN run
+// from -(n - 1) / 2 to (n - 1) / 2 (3x3: depth 0 -> sign, 1 -> 0, 2 -> -sign).
+export function layerCoordinates(move, size = 3) {
+  return (move.layers || [0]).map(d => move.sign * ((size - 1) / 2 - d));
+}
+
+function inLayer(move, position) {
+  return layerCoordinates(move).includes(position[AXIS_INDEX[move.axis]]);
+}
+
+// Facelet normals of each slot, and orientation of a reference sticker within a slot
+const SLOT_TYPES = {
+  corner: {
+    names: CORNERS,
+    facelets: name => [...name].map(f => FACE_NORMAL[f]),
+    orient: (name, ref) => [...name].findIndex(f => sameVec(FACE_NORMAL[f], ref)),
+    modulo: 3
+  },
+  edge: {
+    names: EDGES,
+    facelets: name => [...name].map(f => FACE_NORMAL[f]),
+    orient: (name, ref) => (sameVec(FACE_NORMAL[name[0]], ref) ? 0 : 1),
+    modulo: 2
+  },
+  center: {
+    names: CENTERS,
+    facelets: name => [CENTER_UP[name]],
+    orient: (name, ref) => {
+      let v = CENTER_UP[name];
+      for (let k = 0; k < 4; k++) {
+        if (sameVec(v, ref)) return k;
+        v = clockwise(v, FACE_NORMAL[name]);
+      }
+      return 0;
+    },
+    modulo: 4
+  }
+};
+
+const moveTableCache = new Map();
+
+// For each slot: which slot its new content comes from, and the orientation change
+function moveTable(move) {
+  const key = `${move.axis}${move.sign}${move.cw ? 1 : 0}${move.quarters || 1}:${move.layers || 0}`;
+  if (moveTableCache.has(key)) return moveTableCache.get(key);
+  const rotate = rotationOf(move);
+  const table = {};
+  for (const [type, def] of Object.entries(SLOT_TYPES)) {
+    const positions = def.names.map(slotPosition);
+    const from = def.names.map((_, i) => i);
+    const delta = def.names.map(() => 0);
+    def.names.forEach((name, i) => {
+      if (!inLayer(move, positions[i])) return;
+      const target = positions.findIndex(p => sameVec(p, rotate(positions[i])));
+      from[target] = i;
+      delta[target] = def.orient(def.names[target], rotate(def.facelets(name)[0]));
+    });
+    table[type] = { from, delta, modulo: def.modulo };
+  }
+  moveTableCache.set(key, table);
+  return table;
+}
+
+function permute(perm, ori, { from, delta, modulo }) {
+  const p = perm.slice(), o = ori.slice();
+  for (let i = 0; i < perm.length; i++) {
+    perm[i] = p[from[i]];
+    ori[i] = (o[from[i]] + delta[i]) % modulo;
+  }
+}
+
+// Generic model: { size, pieces: [{ home, position, rotation }] }, surface cubelets only
+function createSolvedPieces(size) {
+  const pieces = [];
+  const max = (size - 1) / 2;
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j < size; j++) {
+      for (let k = 0; k < size; k++) {
+        const home = [i - max, j - max, k - max];
+        if (!home.some(c => Math.abs(c) === max)) continue;
+        pieces.push({ home, position: home.slice(), rotation: [1, 0, 0, 0, 1, 0, 0, 0, 1] });
+      }
+    }
+  }
+  return { size, pieces };
+}
+
+// Columns of a row-major 3x3 matrix are where it sends the x, y and z axes
+function rotateMatrix(m, rotate) {
+  const cols = [0, 1, 2].map(j => rotate([m[j], m[3 + j], m[6 + j]]));
+  return [0, 1, 2].flatMap(r => [cols[0][r], cols[1][r], cols[2][r]]);
+}
+
+export function transformVector(m, v) {
+  return [0, 1, 2].map(r => m[3 * r] * v[0] + m[3 * r + 1] * v[1] + m[3 * r + 2] * v[2]);
+}
+
+function applyMoveToPieces(state, move) {
+  const coords = layerCoordinates(move, state.size);
+  const axis = AXIS_INDEX[move.axis];
+  const rotate = rotationOf(move);
+  for (const p of state.pieces) {
+    if (!coords.includes(p.position[axis])) continue;
+    p.position = rotate(p.position);
+    p.rotation = rotateMatrix(p.rotation, rotate);
+  }
+  return state;
+}
+
+export function createSolvedState(size = 3) {
+  if (size !== 3) return createSolvedPieces(size);
+  return {
+    cp: [0, 1, 2, 3, 4, 5, 6, 7],
+    co: [0, 0, 0, 0, 0, 0, 0, 0],
+    ep: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+    eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    centerPerm: [0, 1, 2, 3, 4, 5],
+    centerTwist: [0, 0, 0, 0, 0, 0]
+  };
+}
+
+// Applies a { axis, sign, cw, quarters } turn in place and returns the state
+export function applyMove(state, move) {
+  if (state.pieces) return applyMoveToPieces(state, move);
+  const t = moveTable(move);
+  permute(state.cp, state.co, t.corner);
+  permute(state.ep, state.eo, t.edge);
+  permute(state.centerPerm, state.centerTwist, t.center);
+  return state;
+}
+
+export function applyMoves(state, moves) {
+  for (const m of moves) applyMove(state, m);
+  return state;
+}
+
+export function clone(state) {
+  if (state.pieces) {
+    return {
+      size: state.size,
+      pieces: state.pieces.map(p => ({ home: p.home, position: p.position.slice(), rotation: p.rotation.slice() }))
+    };
+  }
+  return {
+    cp: state.cp.slice(),
+    co: state.co.slice(),
+    ep: state.ep.slice(),
+    eo: state.eo.slice(),
+    centerPerm: state.centerPerm.slice(),
+    centerTwist: state.centerTwist.slice()
+  };
+}
+
+export function equals(a, b) {
+  const same = (x, y) => x.length === y.length && x.every((v, i) => v === y[i]);
+  if (a.pieces || b.pieces) {
+    return Boolean(a.pieces && b.pieces) && a.size === b.size &&
+      a.pieces.every((p, i) => same(p.position, b.pieces[i].position) && same(p.rotation, b.pieces[i].rotation));
+  }
+  return same(a.cp, b.cp) && same(a.co, b.co) &&
+    same(a.ep, b.ep) && same(a.eo, b.eo) &&
+    same(a.centerPerm, b.centerPerm) && same(a.centerTwist, b.centerTwist);
+}
+
+// Whole-cube rotations (x, y) that bring the centers of `state` back to their home slots
+const WHOLE_CUBE = [0, 1, 2];
+const orientationCache = new Map();
+
+export function homeRotation(state) {
+  const key = state.centerPerm.join('');
+  if (orientationCache.has(key)) return orientationCache.get(key);
+  const turns = [
+    { axis: 'x', sign: 1, cw: true, quarters: 1, layers: WHOLE_CUBE },
+    { axis: 'y', sign: 1, cw: true, quarters: 1, layers: WHOLE_CUBE }
+  ];
+  const start = { centerPerm: state.centerPerm.slice(), centerTwist: [0, 0, 0, 0, 0, 0], moves: [] };
+  const queue = [start];
+  const seen = new Set([key]);
+  let found = [];
+  while (queue.length) {
+    const cur = queue.shift();
+    if (cur.centerPerm.every((p, i) => p === i)) {
+      found = cur.moves;
+      break;
+    }
+    for (const t of turns) {
+      const next = { centerPerm: cur.centerPerm.slice(), centerTwist: cur.centerTwist.slice(), moves: cur.moves.concat(t) };
+      permute(next.centerPerm, next.centerTwist, moveTable(t).center);
+      const k = next.centerPerm.join('');
+      if (seen.has(k)) continue;
+      seen.add(k);
+      queue.push(next);
+    }
+  }
+  orientationCache.set(key, found);
+  return found;
+}
+
+// The same turn seen from the frame reached by the whole-cube `rotation` moves:
+// applying rotation, move, inverse rotation equals applying the returned move
+export function conjugateMove(move, rotation) {
+  let normal = [0, 0, 0];
+  normal[AXIS_INDEX[move.axis]] = move.sign;
+  for (let i = rotation.length - 1; i >= 0; i--) {
+    normal = rotationOf({ ...rotation[i], cw: !rotation[i].cw })(normal);
+  }
+  const axisIndex = normal.findIndex(v => v !== 0);
+  return { ...move, axis: 'xyz'[axisIndex], sign: normal[axisIndex] };
+}
+
+// The turns that undo `moves`: reversed, each one turned the other way
+export function invertMoves(moves) {
+  return moves.slice().reverse().map(m => ({ ...m, cw: !m.cw }));
+}
+
+// Merges neighbouring turns of the same layers into one (R R -> R2, R R' -> nothing)
+export function mergeMoves(moves) {
+  const out = [];
+  const layersKey = m => (m.layers || [0]).slice().sort().join();
+  const quarterCount = m => ((m.cw ? 1 : 3) * (m.quarters || 1)) % 4;
+  for (const m of moves) {
+    const last = out[out.length - 1];
+    if (last && last.axis === m.axis && last.sign === m.sign && layersKey(last) === layersKey(m)) {
+      const q = (quarterCount(last) + quarterCount(m)) % 4;
+      out.pop();
+      if (q !== 0) out.push({ ...last, cw: q !== 3, quarters: q === 2 ? 2 : 1 });
+      continue;
+    }
+    out.push({ ...m });
+  }
+  return out;
+}
+
+// Solved in any whole-cube orientation
+export function isSolved(state) {
+  if (state.pieces) {
+    // Image stickers are all different, so every cubelet must be home under one rotation
+    const r = state.pieces[0].rotation;
+    return state.pieces.every(p =>
+      p.rotation.every((v, i) => v === r[i]) && sameVec(p.position, transformVector(r, p.home)));
+  }
+  const upright = applyMoves(clone(state), homeRotation(state));
+  return equals(upright, createSolvedState());
+}
+
+// Rotation (row-major 3x3) taking unit vectors a1, a2 onto b1, b2
+function rotationFromPairs(a1, a2, b1, b2) {
+  const a3 = cross(a1, a2), b3 = cross(b1, b2);
+  const a = [a1, a2, a3], b = [b1, b2, b3];
+  const m = [];
+  for (let r = 0; r < 3; r++) {
+    for (let c = 0; c < 3; c++) {
+      m.push(b[0][r] * a[0][c] + b[1][r] * a[1][c] + b[2][r] * a[2][c]);
+    }
+  }
+  return m;
+}
+
+// Where every cubelet is, keyed by its home position; used by the renderer to sync meshes.
+// Returns [{ home: [x,y,z], position: [x,y,z], rotation: row-major 3x3 }]
+export function cubeletPlacements(state) {
+  if (state.pieces) {
+    return state.pieces.map(p => ({ home: p.home.slice(), position: p.position.slice(), rotation: p.rotation.slice() }));
+  }
+  const out = [{ home: [0, 0, 0], position: [0, 0, 0], rotation: [1, 0, 0, 0, 1, 0, 0, 0, 1] }];
+  const place = (names, perm, ori, stickers) => {
+    names.forEach((slot, i) => {
+      const piece = names[perm[i]];
+      const from = stickers(piece, 0);
+      const to = stickers(slot, ori[i]);
+      out.push({
+        home: slotPosition(piece),
+        position: slotPosition(slot),
+        rotation: rotationFromPairs(from[0], from[1], to[0], to[1])
+      });
+    });
+  };
+  // Two sticker directions of a piece, starting from the facelet holding its reference sticker
+  const faceletPair = (name, o) => {
+    const n = [...name].map(f => FACE_NORMAL[f]);
+    return [n[o % n.length], n[(o + 1) % n.length]];
+  };
+  place(CORNERS, state.cp, state.co, faceletPair);
+  place(EDGES, state.ep, state.eo, faceletPair);
+  place(CENTERS, state.centerPerm, state.centerTwist, (name, o) => {
+    let up = CENTER_UP[name];
+    for (let k = 0; k < o; k++) up = clockwise(up, FACE_NORMAL[name]);
+    return [FACE_NORMAL[name], up];
+  });
+  return out;
+}
+
+// The pieces of a generic-model state that turn exactly as on a 3x3, as 3x3 piece arrays:
+// corners on every size ({ cp, co }), plus middle edges and fixed centers on odd sizes
+export function pieceArrays(state) {
+  const max = (state.size - 1) / 2;
+  const out = {};
+  const read = (type, permKey, oriKey) => {
+    const def = SLOT_TYPES[type];
+    const slots = def.names.map(name => slotPosition(name).map(c => c * max));
+    out[permKey] = [];
+    out[oriKey] = [];
+    slots.forEach((slot, i) => {
+      const p = state.pieces.find(q => sameVec(q.position, slot));
+      const piece = slots.findIndex(s => sameVec(s, p.home));
+      out[permKey].push(piece);
+      out[oriKey].push(def.orient(def.names[i], transformVector(p.rotation, def.facelets(def.names[piece])[0])));
+    });
+  };
+  read('corner', 'cp', 'co');
+  if (state.size % 2) {
+    read('edge', 'ep', 'eo');
+    read('center', 'centerPerm', 'centerTwist');
+  }
+  return out;
+}
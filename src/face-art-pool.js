@@ -0,0 +1,142 @@
+// Face art off the main thread: a small pool of workers running face-art.js
+// - render(key, settings, sizes, onImage) renders each size in turn (give a small preview size
+//   first) and calls onImage(image, size) with an ImageBitmap or { width, height, data }
+// - Jobs with different keys run in parallel; a new job replaces the queued or running job with
+//   the same key, whose remaining images are dropped
+// - Without module workers (or if one fails to start) the pool renders on the main thread,
+//   one size per task, so the page still gets to draw in between
+
+import { renderFaceArt } from './face-art.js';
+
+function defaultWorkerCount() {
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
+  return Math.max(1, Math.min(6, cores - 1));
+}
+
+function startWorker() {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('./face-art-worker.js', import.meta.url), { type: 'module' });
+  } catch {
+    return null;
+  }
+}
+
+export function createFaceArtPool({ workers: workerCount = defaultWorkerCount() } = {}) {
+  const idle = [];
+  const queue = []; // jobs waiting for a worker
+  const current = new Map(); // key -> latest job
+  const running = new Map(); // worker -> job
+  let nextId = 1;
+  let useMainThread = false;
+
+  function isCurrent(job) {
+    return current.get(job.key) === job;
+  }
+
+  function deliver(job, image, size) {
+    if (!isCurrent(job)) {
+      image.close?.(); // a worker's ImageBitmap holds its pixels until closed
+      return;
+    }
+    job.onImage(image, size);
+    if (size === job.sizes[job.sizes.length - 1]) {
+      current.delete(job.key);
+      job.resolve(true);
+    }
+  }
+
+  function runOnMainThread(job) {
+    let i = 0;
+    function next() {
+      if (!isCurrent(job) || i >= job.sizes.length) return;
+      const size = job.sizes[i++];
+      deliver(job, { width: size, height: size, data: renderFaceArt(job.settings, size) }, size);
+      setTimeout(next, 0);
+    }
+    setTimeout(next, 0);
+  }
+
+  // A worker that cannot run: everything it had or would get moves to the main thread
+  function fallBack(worker) {
+    worker.terminate();
+    const job = running.get(worker);
+    running.delete(worker);
+    if (running.size > 0 || idle.length > 0) {
+      if (job && isCurrent(job)) queue.unshift(job);
+      pump();
+      return;
+    }
+    useMainThread = true;
+    if (job && isCurrent(job)) runOnMainThread(job);
+    for (const waiting of queue.splice(0)) runOnMainThread(waiting);
+  }
+
+  function pump() {
+    while (idle.length && queue.length) {
+      const worker = idle.pop();
+      const job = queue.shift();
+      running.set(worker, job);
+      worker.postMessage({ id: job.id, settings: job.settings, sizes: job.sizes });
+    }
+  }
+
+  for (let i = 0; i < workerCount; i++) {
+    const worker = startWorker();
+    if (!worker) break;
+    worker.onmessage = e => {
+      const job = running.get(worker);
+      if (!job || e.data.id !== job.id) {
+        e.data.bitmap?.close?.();
+        return;
+      }
+      const { size, bitmap, pixels } = e.data;
+      deliver(job, bitmap || { width: size, height: size, data: pixels }, size);
+      if (size === job.sizes[job.sizes.length - 1]) {
+        running.delete(worker);
+        idle.push(worker);
+        pump();
+      }
+    };
+    worker.onerror = e => {
+      e.preventDefault?.();
+      console.warn('Face art worker failed, drawing on the main thread:', e.message || e);
+      fallBack(worker);
+    };
+    idle.push(worker);
+  }
+  if (idle.length === 0) useMainThread = true;
+
+  function cancel(key) {
+    const job = current.get(key);
+    if (!job) return;
+    current.delete(key);
+    const index = queue.indexOf(job);
+    if (index >= 0) queue.splice(index, 1);
+    job.resolve(false);
+  }
+
+  // Resolves true once the last size was delivered, false if replaced or cancelled first
+  function render(key, settings, sizes, onImage) {
+    cancel(key);
+    return new Promise(resolve => {
+      const job = { id: nextId++, key, settings, sizes, onImage, resolve };
+      current.set(key, job);
+      if (useMainThread) {
+        runOnMainThread(job);
+      } else {
+        queue.push(job);
+        pump();
+      }
+    });
+  }
+
+  function dispose() {
+    for (const key of [...current.keys()]) cancel(key);
+    for (const worker of [...idle, ...running.keys()]) worker.terminate();
+    idle.length = 0;
+    running.clear();
+  }
+
+  return { render, cancel, dispose };
+}
@@ -0,0 +1,21 @@
+// Worker side of the face-art pool (face-art-pool.js)
+// - A job is { id, settings, sizes }: every size is rendered in order (small preview first)
+//   and posted as soon as it is ready, as { id, size, bitmap } drawn on an OffscreenCanvas,
+//   or { id, size, pixels } where OffscreenCanvas is missing
+
+import { renderFaceArt } from './face-art.js';
+
+self.onmessage = e => {
+  const { id, settings, sizes } = e.data;
+  for (const size of sizes) {
+    const pixels = renderFaceArt(settings, size);
+    if (typeof OffscreenCanvas !== 'undefined') {
+      const canvas = new OffscreenCanvas(size, size);
+      canvas.getContext('2d').putImageData(new ImageData(pixels, size, size), 0, 0);
+      const bitmap = canvas.transferToImageBitmap();
+      self.postMessage({ id, size, bitmap }, [bitmap]);
+    } else {
+      self.postMessage({ id, size, pixels }, [pixels.buffer]);
+    }
+  }
+};
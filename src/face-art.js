@@ -0,0 +1,309 @@
+// Procedural face art: fractals and noise rendered to RGBA pixels
+// - Everything comes from the face settings (see theme.js), including the random parts,
+//   so the same settings give the same pixels on every machine
+// - No DOM or Three.js: main.js turns the pixels into a texture
+
+import { makeSeededRng } from './random.js';
+
+// Generators offered by the theme editor, in menu order
+export const FACE_GENERATORS = [
+  { id: 'julia2', label: 'Julia' },
+  { id: 'mandelbrot', label: 'Mandelbrot' },
+  { id: 'multibrot3', label: 'Multibrot³' },
+  { id: 'burningship', label: 'Burning Ship' },
+  { id: 'newton', label: 'Newton' },
+  { id: 'lyapunov', label: 'Lyapunov' },
+  { id: 'flame', label: 'Flame' },
+  { id: 'warp', label: 'Warped noise' }
+];
+
+function hslToRgb(h, s, l) {
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const hp = h / 60;
+  const x = c * (1 - Math.abs((hp % 2) - 1));
+  let r = 0, g = 0, b = 0;
+  if (0 <= hp && hp < 1) { r = c; g = x; b = 0; }
+  else if (1 <= hp && hp < 2) { r = x; g = c; b = 0; }
+  else if (2 <= hp && hp < 3) { r = 0; g = c; b = x; }
+  else if (3 <= hp && hp < 4) { r = 0; g = x; b = c; }
+  else if (4 <= hp && hp < 5) { r = x; g = 0; b = c; }
+  else if (5 <= hp && hp < 6) { r = c; g = 0; b = x; }
+  const m = l - c / 2;
+  return [Math.round((r + m) * 255), Math.round((g + m) * 255), Math.round((b + m) * 255)];
+}
+
+function clamp01(v) { return v < 0 ? 0 : v > 1 ? 1 : v; }
+function mix(a, b, t) { return a + (b - a) * t; }
+
+function makePsyPalette(baseHue, rnd) {
+  // Build a psychedelic multi-hue gradient around baseHue
+  const offsets = [0, 45, 120, 200, 280, 330];
+  const stops = offsets.map((off, i) => {
+    const h = (baseHue + off) % 360;
+    const s = 0.75 + 0.2 * (rnd() - 0.5); // 0.65..0.85
+    const l = 0.40 + 0.25 * (i % 2);      // alternate 0.40/0.65
+    const [r, g, b] = hslToRgb(h, clamp01(s), clamp01(l));
+    return { t: i / (offsets.length - 1), rgb: [r, g, b] };
+  });
+  return stops;
+}
+
+function samplePalette(stops, t) {
+  if (t <= 0) return stops[0].rgb;
+  if (t >= 1) return stops[stops.length - 1].rgb;
+  for (let i = 0; i < stops.length - 1; i++) {
+    if (t >= stops[i].t && t <= stops[i + 1].t) {
+      const tt = (t - stops[i].t) / (stops[i + 1].t - stops[i].t);
+      const a = stops[i].rgb, b = stops[i + 1].rgb;
+      return [
+        Math.round(mix(a[0], b[0], tt)),
+        Math.round(mix(a[1], b[1], tt)),
+        Math.round(mix(a[2], b[2], tt))
+      ];
+    }
+  }
+  return stops[stops.length - 1].rgb;
+}
+
+// Escape-time fractals: palette position of one point
+function escapeTime(type, sx, sy, { maxIter, cr, ci }) {
+  let zx, zy, cx0, cy0;
+  if (type === 'mandelbrot' || type === 'burningship' || type === 'multibrot3') {
+    zx = 0; zy = 0; cx0 = sx; cy0 = sy;
+  } else { // julia2
+    zx = sx; zy = sy; cx0 = cr; cy0 = ci;
+  }
+
+  let i = 0;
+  for (; i < maxIter; i++) {
+    let nx, ny;
+    if (type === 'burningship') {
+      const ax = Math.abs(zx), ay = Math.abs(zy);
+      nx = ax * ax - ay * ay + cx0;
+      ny = 2 * ax * ay + cy0;
+    } else if (type === 'multibrot3') {
+      // z = z^3 + c
+      const zx2 = zx * zx, zy2 = zy * zy;
+      nx = zx * (zx2 - 3 * zy2) + cx0;
+      ny = zy * (3 * zx2 - zy2) + cy0;
+    } else { // mandelbrot or julia2 (z^2 + c)
+      nx = zx * zx - zy * zy + cx0;
+      ny = 2 * zx * zy + cy0;
+    }
+    zx = nx; zy = ny;
+    if (zx * zx + zy * zy > 4.0) break;
+  }
+
+  // Smooth coloring t in [0,1]
+  let t = i / maxIter;
+  if (i < maxIter) {
+    const mod2 = zx * zx + zy * zy;
+    const logZn = Math.log(mod2) / 2;
+    const nu = Math.log(logZn / Math.log(2)) / Math.log(2);
+    t = clamp01((i + 1 - nu) / maxIter);
+  }
+
+  // Psychedelic modulation by angle and radius
+  const ang = Math.atan2(zy, zx);
+  const wobble = 0.5 + 0.5 * Math.sin(6 * ang + 10 * t);
+  return clamp01(0.25 + 0.75 * (0.7 * t + 0.3 * wobble));
+}
+
+// Newton's method on z^3 - 1: the root a point runs to picks a third of the palette,
+// the number of steps shades it
+const NEWTON_ROOTS = [[1, 0], [-0.5, Math.sqrt(3) / 2], [-0.5, -Math.sqrt(3) / 2]];
+
+function newton(zx, zy, { maxIter }) {
+  for (let i = 0; i < maxIter; i++) {
+    // z -= (z^3 - 1) / (3 z^2)
+    const zx2 = zx * zx, zy2 = zy * zy;
+    const px = zx * (zx2 - 3 * zy2) - 1, py = zy * (3 * zx2 - zy2);
+    const dx = 3 * (zx2 - zy2), dy = 6 * zx * zy;
+    const d = dx * dx + dy * dy;
+    if (d === 0) break;
+    zx -= (px * dx + py * dy) / d;
+    zy -= (py * dx - px * dy) / d;
+    for (let r = 0; r < 3; r++) {
+      const ex = zx - NEWTON_ROOTS[r][0], ey = zy - NEWTON_ROOTS[r][1];
+      if (ex * ex + ey * ey < 1e-6) {
+        const shade = 1 - Math.sqrt(i / maxIter);
+        return clamp01((r + 0.15 + 0.7 * shade) / 3);
+      }
+    }
+  }
+  return 0;
+}
+
+// Lyapunov exponent of the logistic map with r switching between a and b along `sequence`;
+// stable regions (negative exponent) get the palette, chaos fades to its darkest color
+function lyapunov(px, py, { maxIter, sequence }) {
+  const a = 3 + 0.5 * px, b = 3 + 0.5 * py;
+  if (a <= 0 || a > 4 || b <= 0 || b > 4) return 0;
+  let x = 0.5;
+  let sum = 0;
+  const warmup = 20;
+  for (let n = 0; n < warmup + maxIter; n++) {
+    const r = sequence[n % sequence.length] === 'A' ? a : b;
+    x = r * x * (1 - x);
+    if (n >= warmup) sum += Math.log(Math.abs(r * (1 - 2 * x)) || 1e-12);
+  }
+  const exponent = sum / maxIter;
+  return exponent < 0 ? clamp01(0.2 + 0.8 * (1 - Math.exp(exponent))) : clamp01(0.2 - exponent);
+}
+
+// A sequence of A and B with both letters, e.g. "AABAB", from the face seed
+function lyapunovSequence(rnd) {
+  const length = 2 + Math.floor(rnd() * 5);
+  let sequence = '';
+  for (let i = 0; i < length; i++) sequence += rnd() < 0.5 ? 'A' : 'B';
+  return sequence.includes('A') && sequence.includes('B') ? sequence : `${sequence}AB`;
+}
+
+// Smooth value noise on a seeded lattice, summed over octaves (fbm)
+function makeNoise(rnd) {
+  const perm = new Uint8Array(512);
+  const values = new Float32Array(256);
+  for (let i = 0; i < 256; i++) { perm[i] = i; values[i] = rnd(); }
+  for (let i = 255; i > 0; i--) {
+    const j = Math.floor(rnd() * (i + 1));
+    [perm[i], perm[j]] = [perm[j], perm[i]];
+  }
+  for (let i = 0; i < 256; i++) perm[i + 256] = perm[i];
+  const lattice = (x, y) => values[perm[(x & 255) + perm[y & 255]]];
+  const fade = t => t * t * (3 - 2 * t);
+  function noise(x, y) {
+    const x0 = Math.floor(x), y0 = Math.floor(y);
+    const fx = fade(x - x0), fy = fade(y - y0);
+    return mix(mix(lattice(x0, y0), lattice(x0 + 1, y0), fx), mix(lattice(x0, y0 + 1), lattice(x0 + 1, y0 + 1), fx), fy);
+  }
+  return function fbm(x, y, octaves) {
+    let sum = 0, amp = 0.5, freq = 1;
+    for (let o = 0; o < octaves; o++) {
+      sum += amp * noise(x * freq, y * freq);
+      freq *= 2.03;
+      amp *= 0.5;
+    }
+    return sum;
+  };
+}
+
+// Noise looked up through two layers of noise offsets (Inigo Quilez style domain warping)
+function warp(px, py, { fbm, octaves }) {
+  const x = px * 1.5 + 10, y = py * 1.5 + 10;
+  const qx = fbm(x, y, octaves), qy = fbm(x + 5.2, y + 1.3, octaves);
+  const rx = fbm(x + 4 * qx + 1.7, y + 4 * qy + 9.2, octaves);
+  const ry = fbm(x + 4 * qx + 8.3, y + 4 * qy + 2.8, octaves);
+  const v = fbm(x + 4 * rx, y + 4 * ry, octaves);
+  return clamp01(0.1 + 1.6 * (v - 0.2) + 0.25 * Math.hypot(qx - 0.5, ry - 0.5));
+}
+
+// Fractal flame: a seeded set of affine maps with nonlinear variations, drawn with the chaos
+// game; brightness is the log of how often a pixel was hit, color the average map color
+const FLAME_VARIATIONS = [
+  (x, y) => [x, y], // linear
+  (x, y) => [Math.sin(x), Math.sin(y)], // sinusoidal
+  (x, y) => { const r2 = x * x + y * y + 1e-9; return [x / r2, y / r2]; }, // spherical
+  (x, y) => { const r2 = x * x + y * y, s = Math.sin(r2), c = Math.cos(r2); return [x * s - y * c, x * c + y * s]; }, // swirl
+  (x, y) => { const r = Math.hypot(x, y) + 1e-9, th = Math.atan2(y, x); return [th / Math.PI, r - 1]; } // polar
+];
+
+function renderFlame(data, size, { maxIter, zoom, rnd, palette }) {
+  const maps = [];
+  const count = 3 + Math.floor(rnd() * 2);
+  for (let m = 0; m < count; m++) {
+    maps.push({
+      a: rnd() * 2 - 1, b: rnd() * 2 - 1, c: rnd() * 2 - 1,
+      d: rnd() * 2 - 1, e: rnd() * 2 - 1, f: rnd() * 2 - 1,
+      variation: FLAME_VARIATIONS[Math.floor(rnd() * FLAME_VARIATIONS.length)],
+      color: m / (count - 1)
+    });
+  }
+  const hits = new Float32Array(size * size);
+  const colors = new Float32Array(size * size);
+  const points = Math.round(size * size * (maxIter / 40));
+  let x = rnd() * 2 - 1, y = rnd() * 2 - 1, color = 0.5;
+  for (let n = 0; n < points + 20; n++) {
+    const map = maps[Math.floor(rnd() * count)];
+    const ax = map.a * x + map.b * y + map.c;
+    const ay = map.d * x + map.e * y + map.f;
+    [x, y] = map.variation(ax, ay);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) { x = rnd() * 2 - 1; y = rnd() * 2 - 1; continue; }
+    color = (color + map.color) / 2;
+    if (n < 20) continue; // let the point settle onto the attractor
+    const px = Math.floor(((x / zoom) + 1) * size / 2);
+    const py = Math.floor(((-y / zoom) + 1) * size / 2);
+    if (px < 0 || py < 0 || px >= size || py >= size) continue;
+    const i = py * size + px;
+    hits[i] += 1;
+    colors[i] += color;
+  }
+  let maxHits = 1;
+  for (let i = 0; i < hits.length; i++) if (hits[i] > maxHits) maxHits = hits[i];
+  const logMax = Math.log(1 + maxHits);
+  const [br, bg, bb] = palette[0].rgb;
+  for (let i = 0, idx = 0; i < hits.length; i++) {
+    const alpha = hits[i] ? Math.pow(Math.log(1 + hits[i]) / logMax, 0.45) : 0;
+    const [r8, g8, b8] = hits[i] ? samplePalette(palette, 0.15 + 0.85 * colors[i] / hits[i]) : palette[0].rgb;
+    // Background is the palette's first color, dimmed
+    data[idx++] = Math.round(mix(br * 0.25, r8, alpha));
+    data[idx++] = Math.round(mix(bg * 0.25, g8, alpha));
+    data[idx++] = Math.round(mix(bb * 0.25, b8, alpha));
+    data[idx++] = 255;
+  }
+}
+
+// The seeded parts of a face: its palette (six { t, rgb } stops), the Lyapunov sequence and
+// the random source the generator continues with. The shader faces use the same palette.
+export function faceArtSetup({ type, hue, seed }) {
+  // Seeded randomness per face for variety
+  const rnd = makeSeededRng(seed);
+  const palette = makePsyPalette(hue, rnd);
+  const sequence = type === 'lyapunov' ? lyapunovSequence(rnd) : null;
+  return { rnd, palette, sequence };
+}
+
+// RGBA pixels (size x size, rows top to bottom) for one face's settings
+export function renderFaceArt(settings, size = 720) {
+  const { type, maxIter, zoom, swirl, cr, ci } = settings;
+  const data = new Uint8ClampedArray(size * size * 4);
+  const { rnd, palette, sequence } = faceArtSetup(settings);
+
+  if (type === 'flame') {
+    renderFlame(data, size, { maxIter, zoom, rnd, palette });
+    return data;
+  }
+
+  const params = { maxIter, cr, ci, sequence };
+  if (type === 'warp') {
+    params.fbm = makeNoise(rnd);
+    params.octaves = Math.max(2, Math.min(8, Math.round(maxIter / 16)));
+  }
+  const cx = 0.0, cy = 0.0; // center
+
+  let idx = 0;
+  for (let y = 0; y < size; y++) {
+    const py = (y - size / 2) / (size / (2 * zoom)) + cy;
+    for (let x = 0; x < size; x++) {
+      const px = (x - size / 2) / (size / (2 * zoom)) + cx;
+      // Swirl transform for psychedelic feel
+      const r2 = px * px + py * py;
+      const a = swirl * r2;
+      const cosA = Math.cos(a), sinA = Math.sin(a);
+      const sx = px * cosA - py * sinA;
+      const sy = px * sinA + py * cosA;
+
+      let tt;
+      if (type === 'newton') tt = newton(sx, sy, params);
+      else if (type === 'lyapunov') tt = lyapunov(sx, sy, params);
+      else if (type === 'warp') tt = warp(sx, sy, params);
+      else tt = escapeTime(type, sx, sy, params);
+      const [r8, g8, b8] = samplePalette(palette, tt);
+
+      data[idx++] = r8;
+      data[idx++] = g8;
+      data[idx++] = b8;
+      data[idx++] = 255;
+    }
+  }
+  return data;
+}
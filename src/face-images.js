@@ -0,0 +1,106 @@
+// Custom face images
+// - One image per face, cropped to a square and turned in quarter turns
+// - Kept in IndexedDB as { face, source, crop, rotation }: the original file stays, so the
+//   crop can be changed again later
+// - A face without a stored image uses its fractal
+
+const DB_NAME = 'psybik';
+const STORE = 'face-images';
+
+// Pixel size of a rendered face image
+export const FACE_IMAGE_SIZE = 720;
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'face' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Runs one request against the store and resolves with its result once the transaction is done
+async function withStore(mode, makeRequest) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = makeRequest(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// { U: { face, source, crop, rotation }, ... } for the faces that have an image;
+// {} when storage is unavailable
+export async function loadFaceImages() {
+  try {
+    const records = await withStore('readonly', store => store.getAll());
+    const images = {};
+    for (const record of records || []) {
+      if (record && record.source instanceof Blob && record.crop) images[record.face] = record;
+    }
+    return images;
+  } catch (e) {
+    console.warn('Face images could not be loaded:', e);
+    return {};
+  }
+}
+
+// Resolves false when the image could not be stored (it still shows for this page)
+export async function saveFaceImage(record) {
+  try {
+    await withStore('readwrite', store => store.put(record));
+    return true;
+  } catch (e) {
+    console.warn('Face image could not be saved:', e);
+    return false;
+  }
+}
+
+export async function removeFaceImage(face) {
+  try {
+    await withStore('readwrite', store => store.delete(face));
+  } catch (e) {
+    console.warn('Face image could not be removed:', e);
+  }
+}
+
+// The largest centered square of a width x height image
+export function defaultCrop(width, height) {
+  const size = Math.min(width, height);
+  return { x: (width - size) / 2, y: (height - size) / 2, size };
+}
+
+// Keeps a crop square inside the image, with its size between 16 px and the shorter side
+export function clampCrop({ x, y, size }, width, height) {
+  const s = Math.max(Math.min(16, width, height), Math.min(size, width, height));
+  return {
+    x: Math.min(Math.max(0, x), width - s),
+    y: Math.min(Math.max(0, y), height - s),
+    size: s
+  };
+}
+
+// Draws the crop square of `image` (anything drawImage takes), turned clockwise by
+// `rotation` quarter turns, onto a new square canvas
+export function renderFaceImage(image, crop, rotation = 0, size = FACE_IMAGE_SIZE) {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  ctx.translate(size / 2, size / 2);
+  ctx.rotate((((rotation % 4) + 4) % 4) * Math.PI / 2);
+  ctx.drawImage(image, crop.x, crop.y, crop.size, crop.size, -size / 2, -size / 2, size, size);
+  return canvas;
+}
@@ -0,0 +1,236 @@
+// Animated faces: sticker materials that draw the face art per pixel on the GPU
+// - Same settings as the canvas art (face-art.js): generator, hue and seed palette, detail,
+//   zoom, swirl, Julia constant; over time the palette cycles and zoom and swirl breathe
+// - Each sticker shows its 1/N window of the face, like makeStickerTextureFromBase does with
+//   offset/repeat; all stickers of a face share one set of uniforms
+// - Plain GLSL: constant loop bounds, arrays indexed by loop counters only, no derivatives, so software
+//   WebGL (SwiftShader) renders it the same
+// - Flame needs the whole image at once, so those faces stay static
+
+import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
+import { faceArtSetup } from './face-art.js';
+
+// Generators the shader draws, with the FACE_TYPE define each compiles to
+const SHADER_TYPES = { julia2: 0, mandelbrot: 1, multibrot3: 2, burningship: 3, newton: 4, lyapunov: 5, warp: 6 };
+
+// Loop bound of the fragment shader; SETTING_LIMITS.maxIter (theme.js) stays below it
+const MAX_ITER = 400;
+
+const time = { value: 0 }; // seconds, shared by every face
+
+export function canAnimateFace(settings) {
+  return settings.type in SHADER_TYPES;
+}
+
+export function setFaceShaderTime(seconds) {
+  time.value = seconds;
+}
+
+const vertexShader = /* glsl */ `
+uniform vec2 uOffset;
+uniform vec2 uRepeat;
+varying vec2 vUv;
+
+void main() {
+  vUv = uOffset + uv * uRepeat;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+const fragmentShader = /* glsl */ `
+precision highp float;
+
+uniform float uTime;
+uniform float uMaxIter;
+uniform float uZoom;
+uniform float uSwirl;
+uniform vec2 uC;
+uniform vec3 uPalette[6];
+uniform float uSeqBits; // Lyapunov sequence, bit k set for a B at step k
+uniform float uSeqLength;
+uniform vec2 uNoiseOffset;
+varying vec2 vUv;
+
+#define MAX_ITER ${MAX_ITER}
+
+vec3 palette(float t) {
+  float x = clamp(t, 0.0, 1.0) * 5.0;
+  vec3 color = uPalette[0];
+  for (int i = 0; i < 5; i++) {
+    color = mix(color, uPalette[i + 1], clamp(x - float(i), 0.0, 1.0));
+  }
+  return color;
+}
+
+#if FACE_TYPE <= 3
+float art(vec2 p) {
+  #if FACE_TYPE == 0
+  vec2 z = p;
+  vec2 c = uC;
+  #else
+  vec2 z = vec2(0.0);
+  vec2 c = p;
+  #endif
+  float n = 0.0;
+  for (int i = 0; i < MAX_ITER; i++) {
+    if (float(i) >= uMaxIter) break;
+    #if FACE_TYPE == 3
+    vec2 a = abs(z);
+    z = vec2(a.x * a.x - a.y * a.y, 2.0 * a.x * a.y) + c;
+    #elif FACE_TYPE == 2
+    z = vec2(z.x * (z.x * z.x - 3.0 * z.y * z.y), z.y * (3.0 * z.x * z.x - z.y * z.y)) + c;
+    #else
+    z = vec2(z.x * z.x - z.y * z.y, 2.0 * z.x * z.y) + c;
+    #endif
+    n += 1.0;
+    if (dot(z, z) > 4.0) break;
+  }
+  float t = n / uMaxIter;
+  if (n < uMaxIter) {
+    float logZn = log(dot(z, z)) / 2.0;
+    float nu = log(logZn / log(2.0)) / log(2.0);
+    t = clamp((n + 1.0 - nu) / uMaxIter, 0.0, 1.0);
+  }
+  float wobble = 0.5 + 0.5 * sin(6.0 * atan(z.y, z.x) + 10.0 * t);
+  return clamp(0.25 + 0.75 * (0.7 * t + 0.3 * wobble), 0.0, 1.0);
+}
+#elif FACE_TYPE == 4
+float art(vec2 z) {
+  vec2 roots[3];
+  roots[0] = vec2(1.0, 0.0);
+  roots[1] = vec2(-0.5, 0.8660254);
+  roots[2] = vec2(-0.5, -0.8660254);
+  for (int i = 0; i < MAX_ITER; i++) {
+    if (float(i) >= uMaxIter) break;
+    vec2 z2 = vec2(z.x * z.x - z.y * z.y, 2.0 * z.x * z.y);
+    vec2 f = vec2(z2.x * z.x - z2.y * z.y - 1.0, z2.x * z.y + z2.y * z.x);
+    vec2 d = 3.0 * z2;
+    float dd = dot(d, d);
+    if (dd == 0.0) break;
+    z -= vec2(f.x * d.x + f.y * d.y, f.y * d.x - f.x * d.y) / dd;
+    for (int r = 0; r < 3; r++) {
+      vec2 e = z - roots[r];
+      if (dot(e, e) < 1e-6) {
+        float shade = 1.0 - sqrt(float(i) / uMaxIter);
+        return clamp((float(r) + 0.15 + 0.7 * shade) / 3.0, 0.0, 1.0);
+      }
+    }
+  }
+  return 0.0;
+}
+#elif FACE_TYPE == 5
+float art(vec2 p) {
+  float a = 3.0 + 0.5 * p.x;
+  float b = 3.0 + 0.5 * p.y;
+  if (a <= 0.0 || a > 4.0 || b <= 0.0 || b > 4.0) return 0.0;
+  float x = 0.5;
+  float sum = 0.0;
+  for (int n = 0; n < MAX_ITER + 20; n++) {
+    if (float(n) >= uMaxIter + 20.0) break;
+    float k = mod(float(n), uSeqLength);
+    float r = mod(floor(uSeqBits / exp2(k)), 2.0) > 0.5 ? b : a;
+    x = r * x * (1.0 - x);
+    if (n >= 20) sum += log(max(abs(r * (1.0 - 2.0 * x)), 1e-12));
+  }
+  float exponent = sum / uMaxIter;
+  return exponent < 0.0 ? clamp(0.2 + 0.8 * (1.0 - exp(exponent)), 0.0, 1.0) : clamp(0.2 - exponent, 0.0, 1.0);
+}
+#else
+float hash(vec2 p) {
+  p = fract(p * vec2(123.34, 456.21) + uNoiseOffset);
+  p += dot(p, p + 45.32);
+  return fract(p.x * p.y);
+}
+
+float valueNoise(vec2 p) {
+  vec2 i = floor(p);
+  vec2 f = p - i;
+  f = f * f * (3.0 - 2.0 * f);
+  return mix(mix(hash(i), hash(i + vec2(1.0, 0.0)), f.x), mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), f.x), f.y);
+}
+
+float fbm(vec2 p) {
+  float octaves = clamp(floor(uMaxIter / 16.0 + 0.5), 2.0, 8.0);
+  float sum = 0.0;
+  float amp = 0.5;
+  for (int o = 0; o < 8; o++) {
+    if (float(o) >= octaves) break;
+    sum += amp * valueNoise(p);
+    p *= 2.03;
+    amp *= 0.5;
+  }
+  return sum;
+}
+
+float art(vec2 p) {
+  p = p * 1.5 + 10.0;
+  vec2 q = vec2(fbm(p), fbm(p + vec2(5.2, 1.3)));
+  vec2 r = vec2(fbm(p + 4.0 * q + vec2(1.7, 9.2)), fbm(p + 4.0 * q + vec2(8.3, 2.8)));
+  float v = fbm(p + 4.0 * r);
+  return clamp(0.1 + 1.6 * (v - 0.2) + 0.25 * length(vec2(q.x, r.y) - 0.5), 0.0, 1.0);
+}
+#endif
+
+void main() {
+  float zoom = uZoom * (1.0 + 0.08 * sin(uTime * 0.25));
+  float swirl = uSwirl + 0.25 * sin(uTime * 0.17);
+  // Same orientation as the canvas art: image rows run top to bottom
+  vec2 p = vec2(vUv.x - 0.5, 0.5 - vUv.y) * 2.0 * zoom;
+  float angle = swirl * dot(p, p);
+  float s = sin(angle);
+  float c = cos(angle);
+  float t = art(vec2(p.x * c - p.y * s, p.x * s + p.y * c));
+  // Palette cycling, back and forth so the two ends never meet with a jump
+  float cycled = 1.0 - abs(1.0 - 2.0 * fract(0.5 * t + 0.03 * uTime));
+  // Palette colors are sRGB already, like the canvas pixels, so they are written unchanged
+  gl_FragColor = vec4(palette(cycled), 1.0);
+}
+`;
+
+// Uniforms for one face, shared by its stickers; call updateFaceUniforms after a settings change
+export function createFaceUniforms(settings) {
+  const uniforms = {
+    uTime: time,
+    uMaxIter: { value: 80 },
+    uZoom: { value: 1 },
+    uSwirl: { value: 0 },
+    uC: { value: new THREE.Vector2() },
+    uPalette: { value: Array.from({ length: 6 }, () => new THREE.Vector3()) },
+    uSeqBits: { value: 0 },
+    uSeqLength: { value: 1 },
+    uNoiseOffset: { value: new THREE.Vector2() }
+  };
+  updateFaceUniforms(uniforms, settings);
+  return uniforms;
+}
+
+export function updateFaceUniforms(uniforms, settings) {
+  const { rnd, palette, sequence } = faceArtSetup(settings);
+  uniforms.uMaxIter.value = Math.min(MAX_ITER, settings.maxIter);
+  uniforms.uZoom.value = settings.zoom;
+  uniforms.uSwirl.value = settings.swirl;
+  uniforms.uC.value.set(settings.cr, settings.ci);
+  palette.forEach(({ rgb }, i) => uniforms.uPalette.value[i].set(rgb[0] / 255, rgb[1] / 255, rgb[2] / 255));
+  const steps = sequence || 'A';
+  uniforms.uSeqBits.value = [...steps].reduce((bits, letter, k) => bits + (letter === 'B' ? 2 ** k : 0), 0);
+  uniforms.uSeqLength.value = steps.length;
+  uniforms.uNoiseOffset.value.set(rnd(), rnd());
+}
+
+// Material of the sticker at col,row (origin bottom-left) of an n x n face
+export function createStickerShaderMaterial(uniforms, settings, col, row, n = 3) {
+  return new THREE.ShaderMaterial({
+    defines: { FACE_TYPE: SHADER_TYPES[settings.type] },
+    uniforms: {
+      ...uniforms,
+      uOffset: { value: new THREE.Vector2(col / n, row / n) },
+      uRepeat: { value: new THREE.Vector2(1 / n, 1 / n) }
+    },
+    vertexShader,
+    fragmentShader
+  });
+}
+
+export function faceShaderType(settings) {
+  return SHADER_TYPES[settings.type];
+}
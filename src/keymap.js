@@ -0,0 +1,86 @@
+// Keyboard bindings for turns
+// - Maps KeyboardEvent.code (physical key, unaffected by Shift or layout) to a notation token
+// - Shift turns the bound move counter-clockwise
+// - Custom bindings are kept in localStorage
+
+import { parseMoves } from './notation.js';
+
+// Moves that can be bound, in the order the keymap editor lists them
+export const BINDABLE_MOVES = ['U', 'D', 'R', 'L', 'F', 'B', 'M', 'E', 'S', 'x', 'y', 'z'];
+
+export const DEFAULT_KEYMAP = {
+  KeyU: 'U', KeyD: 'D', KeyR: 'R', KeyL: 'L', KeyF: 'F', KeyB: 'B',
+  KeyM: 'M', KeyE: 'E', KeyS: 'S',
+  KeyX: 'x', KeyY: 'y', KeyZ: 'z'
+};
+
+const STORAGE_KEY = 'psybik.keymap';
+
+function isValidToken(token) {
+  try {
+    return parseMoves(token).length === 1;
+  } catch {
+    return false;
+  }
+}
+
+export function loadKeymap() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!stored || typeof stored !== 'object') return { ...DEFAULT_KEYMAP };
+    const map = {};
+    for (const [code, token] of Object.entries(stored)) {
+      if (typeof token === 'string' && isValidToken(token)) map[code] = token;
+    }
+    return map;
+  } catch {
+    return { ...DEFAULT_KEYMAP };
+  }
+}
+
+export function saveKeymap(map) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(map));
+  } catch {
+    // Private browsing or storage disabled: bindings last for this page only
+  }
+}
+
+export function resetKeymap() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // ignore
+  }
+  return { ...DEFAULT_KEYMAP };
+}
+
+// Binds `code` to `token`, replacing whatever the key did and any other key bound to the token
+export function bindKey(map, code, token) {
+  const next = {};
+  for (const [c, t] of Object.entries(map)) {
+    if (c !== code && t !== token) next[c] = t;
+  }
+  next[code] = token;
+  return next;
+}
+
+// The move a key press turns on a cube of `size`, or null if the key is unbound
+// or the move does not exist on that cube (M on a 4x4)
+export function moveForKey(map, code, shift = false, size = 3) {
+  const token = map[code];
+  if (!token) return null;
+  let move;
+  try {
+    [move] = parseMoves(token, size);
+  } catch {
+    return null;
+  }
+  return shift ? { ...move, cw: !move.cw } : move;
+}
+
+// "KeyR" -> "R", "Digit1" -> "1", "Semicolon" -> "Semicolon"
+export function keyLabel(code) {
+  if (!code) return '—';
+  return code.replace(/^Key|^Digit|^Numpad/, '');
+}
@@ -0,0 +1,90 @@
+// Lifecycle of a mounted cube: what it allocates is registered here and given back in one go
+// - track(resource) registers anything with dispose() (textures, materials, geometries, the
+//   renderer, the worker pool) and returns it; release(resource) disposes one early, e.g. the
+//   stickers of a cube that is rebuilt or a face texture that is replaced
+// - signal: an AbortSignal for addEventListener, so listeners go away with the cube
+// - frame(callback) is requestAnimationFrame, cancelled on dispose; onDispose(fn) for the rest
+//   (timers, observers)
+// - dispose() frees everything, newest first; counts() tells what is still held, by kind, for
+//   the debug readout next to renderer.info
+
+function kindOf(resource) {
+  if (resource.isTexture) return 'textures';
+  if (resource.isMaterial) return 'materials';
+  if (resource.isBufferGeometry) return 'geometries';
+  return 'other';
+}
+
+export function createLifecycle() {
+  const resources = new Set();
+  const frames = new Set();
+  const controller = new AbortController();
+  let disposed = false;
+
+  function track(resource) {
+    if (disposed) resource.dispose();
+    else resources.add(resource);
+    return resource;
+  }
+
+  function release(resource) {
+    if (!resource) return;
+    resources.delete(resource);
+    resource.dispose();
+  }
+
+  function onDispose(fn) {
+    track({ dispose: fn });
+  }
+
+  function frame(callback) {
+    if (disposed) return 0;
+    const id = requestAnimationFrame(now => {
+      frames.delete(id);
+      callback(now);
+    });
+    frames.add(id);
+    return id;
+  }
+
+  function cancelFrame(id) {
+    frames.delete(id);
+    cancelAnimationFrame(id);
+  }
+
+  function counts() {
+    const out = { textures: 0, materials: 0, geometries: 0, other: 0, frames: frames.size };
+    for (const r of resources) out[kindOf(r)] += 1;
+    return out;
+  }
+
+  function dispose() {
+    if (disposed) return;
+    disposed = true;
+    controller.abort();
+    for (const id of frames) cancelAnimationFrame(id);
+    frames.clear();
+    for (const r of [...resources].reverse()) {
+      try {
+        r.dispose();
+      } catch (e) {
+        console.warn('Dispose failed:', e);
+      }
+    }
+    resources.clear();
+  }
+
+  return {
+    signal: controller.signal,
+    get disposed() {
+      return disposed;
+    },
+    track,
+    release,
+    onDispose,
+    frame,
+    cancelFrame,
+    counts,
+    dispose
+  };
+}
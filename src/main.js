@@ -1,53 +1,51 @@
-// Main module for 3x3 Rubik's Cube web game
-// - Renders a 3x3 cube using Three.js
-// - Each face is a 3x3 slice of an image (with fallbacks)
+// Main module for the NxN Rubik's Cube web game
+// - Renders a 2x2 to 7x7 cube using Three.js (3x3 by default)
+// - Each face is an NxN slice of an image (with fallbacks)
 // - Orbit with trackpad/mouse, face turns by dragging on stickers
+// - mountPsybik(element, options) puts a cube into any element and returns an API to drive it;
+//   app.js mounts the full page, other pages can mount several small cubes
 
 import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
 import { OrbitControls } from 'https://unpkg.com/three@0.160.0/examples/jsm/controls/OrbitControls.js';
-
-const appEl = document.getElementById('app');
-
-// Scene, camera, renderer
-const scene = new THREE.Scene();
-scene.background = new THREE.Color(0x0a0f1c);
-
-const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 100);
-camera.position.set(4.5, 3.5, 5.5);
-
-const renderer = new THREE.WebGLRenderer({ antialias: true, powerPreference: 'high-performance' });
-renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
-renderer.shadowMap.enabled = true;
-appEl.appendChild(renderer.domElement);
-
-// Resize handling
-function onResize() {
-  const w = window.innerWidth;
-  const h = window.innerHeight;
-  camera.aspect = w / h;
-  camera.updateProjectionMatrix();
-  renderer.setSize(w, h, true);
-}
-window.addEventListener('resize', onResize);
-onResize();
-
-// Lighting
-scene.add(new THREE.AmbientLight(0x8893a6, 0.55));
-const dirLight = new THREE.DirectionalLight(0xffffff, 0.9);
-dirLight.position.set(5, 8, 7);
-dirLight.castShadow = false;
-scene.add(dirLight);
-
-// Orbit Controls (trackpad-friendly)
-const controls = new OrbitControls(camera, renderer.domElement);
-controls.enableDamping = true;
-controls.dampingFactor = 0.08;
-controls.rotateSpeed = 0.9;
-controls.zoomSpeed = 0.9;
-controls.panSpeed = 0.8;
-controls.enablePan = false;
-controls.minDistance = 3;
-controls.maxDistance = 30;
+import {
+  createSolvedState, applyMove, applyMoves, equals, isSolved, cubeletPlacements, layerCoordinates, invertMoves,
+  mergeMoves, clone
+} from './cube-state.js';
+import { prepareSolver } from './solver.js';
+import { createSolverThread } from './solver-thread.js';
+import { makeSeededRng, randomSeed } from './random.js';
+import { FACE_GENERATORS } from './face-art.js';
+import { createFaceArtPool } from './face-art-pool.js';
+import {
+  canAnimateFace, createFaceUniforms, updateFaceUniforms, createStickerShaderMaterial, faceShaderType,
+  setFaceShaderTime
+} from './face-shader.js';
+import {
+  SETTING_LIMITS, DEFAULT_THEME, ThemeError, cloneTheme, normalizeFaceSettings, themeFromSeed,
+  encodeTheme, decodeTheme, loadTheme, saveTheme, loadAnimateFaces, saveAnimateFaces
+} from './theme.js';
+import { scoreState, estimateMoves } from './closeness.js';
+import { generateScramble } from './scramble.js';
+import { parseMoves, formatMove, formatMoves, NotationError } from './notation.js';
+import { createMoveQueue } from './move-queue.js';
+import { BINDABLE_MOVES, loadKeymap, saveKeymap, resetKeymap, bindKey, moveForKey, keyLabel } from './keymap.js';
+import {
+  INSPECTION_MS, inspectionPenalty, isInspectionOver, formatTime, formatResult,
+  turnsPerSecond, averageOf, bestTime, loadSession, saveSession, resultsForSize
+} from './solve-session.js';
+import {
+  loadFaceImages, saveFaceImage, removeFaceImage, defaultCrop, clampCrop, renderFaceImage
+} from './face-images.js';
+import { ShareError, encodeCubeState, decodeCubeState, encodeShareHash, decodeShareHash } from './share.js';
+import { loadAutosave, saveAutosave, clearAutosave } from './autosave.js';
+import { createLifecycle } from './lifecycle.js';
+import { createRenderScheduler } from './render-scheduler.js';
+import { readRecording, analyzeSolve, reconstructionText } from './reconstruction.js';
+import { TUTORIAL_STAGES, nextHint, hintNotation } from './tutorial.js';
+import {
+  BUILTIN_PATTERNS, PatternError, isBuiltinPattern, patternMoves, loadCustomPatterns, saveCustomPatterns, addPattern,
+  removePattern
+} from './patterns.js';
 
 function fitCameraToObject(object3D, cam, ctrls, offset = 1.2) {
   const box = new THREE.Box3().setFromObject(object3D);
@@ -73,10 +71,6 @@ function fitCameraToObject(object3D, cam, ctrls, offset = 1.2) {
   ctrls.update();
 }
 
-// Cube root group
-const cubeRoot = new THREE.Group();
-scene.add(cubeRoot);
-
 // Face keys and default colors for fallbacks
 const FACE_KEYS = ['U', 'D', 'L', 'R', 'F', 'B'];
 const FACE_TO_INDEX = { R: 0, L: 1, U: 2, D: 3, F: 4, B: 5 }; // BoxGeometry material order
@@ -89,43 +83,9 @@ const FACE_DEFAULTS = {
   B: { color: '#f29b2e', label: 'B' }
 };
 
-// Desired image paths; place custom images into ./assets as face-U.jpg, etc.
-const FACE_IMAGES = {
-  U: './assets/face-U.jpg',
-  D: './assets/face-D.jpg',
-  L: './assets/face-L.jpg',
-  R: './assets/face-R.jpg',
-  F: './assets/face-F.jpg',
-  B: './assets/face-B.jpg'
-};
-
-const textureLoader = new THREE.TextureLoader();
-
-// Use procedural fractal faces instead of loading images
-const USE_FRACTAL_FACES = true;
-
-// Distinct hues for each face (degrees 0-360)
-const FACE_HUES = {
-  U: 52,   // warm yellow
-  D: 20,   // orange
-  L: 135,  // green
-  R: 0,    // red
-  F: 220,  // blue
-  B: 285   // purple
-};
-
 // Global abstract palette (four main colors)
 const ABSTRACT_PALETTE = ['#e23d2e', '#2e6de2', '#0bb04b', '#f2d22e'];
 
-function makeSeededRng(seedStr) {
-  let seed = 0;
-  for (let i = 0; i < seedStr.length; i++) seed = (seed * 31 + seedStr.charCodeAt(i)) >>> 0;
-  return function rnd() {
-    seed = (1664525 * seed + 1013904223) >>> 0; // LCG
-    return (seed >>> 0) / 4294967296;
-  };
-}
-
 function hexToRgba(hex, alpha) {
   const h = hex.replace('#', '');
   const r = parseInt(h.slice(0, 2), 16);
@@ -134,6 +94,17 @@ function hexToRgba(hex, alpha) {
   return `rgba(${r}, ${g}, ${b}, ${alpha})`;
 }
 
+function faceTextureFromCanvas(canvas) {
+  const tex = new THREE.CanvasTexture(canvas);
+  tex.colorSpace = THREE.SRGBColorSpace;
+  tex.wrapS = THREE.ClampToEdgeWrapping;
+  tex.wrapT = THREE.ClampToEdgeWrapping;
+  tex.generateMipmaps = true;
+  tex.minFilter = THREE.LinearMipmapLinearFilter;
+  tex.magFilter = THREE.LinearFilter;
+  return tex;
+}
+
 function generateAbstractFaceTexture(faceKey, size = 768) {
   const canvas = document.createElement('canvas');
   canvas.width = size;
@@ -180,15 +151,6 @@ function generateAbstractFaceTexture(faceKey, size = 768) {
     ctx.fill();
   }
 
-  // 3x3 guide lines, subtle
-  ctx.strokeStyle = 'rgba(255,255,255,0.08)';
-  ctx.lineWidth = 2;
-  for (let i = 1; i < 3; i++) {
-    const p = Math.floor((size * i) / 3);
-    ctx.beginPath(); ctx.moveTo(p, 0); ctx.lineTo(p, size); ctx.stroke();
-    ctx.beginPath(); ctx.moveTo(0, p); ctx.lineTo(size, p); ctx.stroke();
-  }
-
   // Face key label, subtle
   ctx.fillStyle = 'rgba(255,255,255,0.35)';
   ctx.font = 'bold 120px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial';
@@ -196,222 +158,62 @@ function generateAbstractFaceTexture(faceKey, size = 768) {
   ctx.textBaseline = 'middle';
   ctx.fillText(faceKey, size / 2, size / 2);
 
-  const tex = new THREE.CanvasTexture(canvas);
-  tex.colorSpace = THREE.SRGBColorSpace;
-  tex.wrapS = THREE.ClampToEdgeWrapping;
-  tex.wrapT = THREE.ClampToEdgeWrapping;
-  tex.generateMipmaps = true;
-  tex.minFilter = THREE.LinearMipmapLinearFilter;
-  tex.magFilter = THREE.LinearFilter;
-  return tex;
-}
-
-function hslToRgb(h, s, l) {
-  const c = (1 - Math.abs(2 * l - 1)) * s;
-  const hp = h / 60;
-  const x = c * (1 - Math.abs((hp % 2) - 1));
-  let r = 0, g = 0, b = 0;
-  if (0 <= hp && hp < 1) { r = c; g = x; b = 0; }
-  else if (1 <= hp && hp < 2) { r = x; g = c; b = 0; }
-  else if (2 <= hp && hp < 3) { r = 0; g = c; b = x; }
-  else if (3 <= hp && hp < 4) { r = 0; g = x; b = c; }
-  else if (4 <= hp && hp < 5) { r = x; g = 0; b = c; }
-  else if (5 <= hp && hp < 6) { r = c; g = 0; b = x; }
-  const m = l - c / 2;
-  return [Math.round((r + m) * 255), Math.round((g + m) * 255), Math.round((b + m) * 255)];
+  return faceTextureFromCanvas(canvas);
 }
 
-function clamp01(v) { return v < 0 ? 0 : v > 1 ? 1 : v; }
-function mix(a, b, t) { return a + (b - a) * t; }
-
-function makePsyPalette(baseHue, rnd) {
-  // Build a psychedelic multi-hue gradient around baseHue
-  const offsets = [0, 45, 120, 200, 280, 330];
-  const stops = offsets.map((off, i) => {
-    const h = (baseHue + off) % 360;
-    const s = 0.75 + 0.2 * (rnd() - 0.5); // 0.65..0.85
-    const l = 0.40 + 0.25 * (i % 2);      // alternate 0.40/0.65
-    const [r, g, b] = hslToRgb(h, clamp01(s), clamp01(l));
-    return { t: i / (offsets.length - 1), rgb: [r, g, b] };
-  });
-  return stops;
-}
-
-function samplePalette(stops, t) {
-  if (t <= 0) return stops[0].rgb;
-  if (t >= 1) return stops[stops.length - 1].rgb;
-  for (let i = 0; i < stops.length - 1; i++) {
-    if (t >= stops[i].t && t <= stops[i + 1].t) {
-      const tt = (t - stops[i].t) / (stops[i + 1].t - stops[i].t);
-      const a = stops[i].rgb, b = stops[i + 1].rgb;
-      return [
-        Math.round(mix(a[0], b[0], tt)),
-        Math.round(mix(a[1], b[1], tt)),
-        Math.round(mix(a[2], b[2], tt))
-      ];
-    }
-  }
-  return stops[stops.length - 1].rgb;
-}
-
-function generateFractalFaceTexture(faceKey, size = 720) {
+// Plain face in the theme's hue, shown until the face art is ready
+function generatePlaceholderFaceTexture(settings, size = 64) {
   const canvas = document.createElement('canvas');
   canvas.width = size;
   canvas.height = size;
   const ctx = canvas.getContext('2d');
-  const img = ctx.createImageData(size, size);
-  const data = img.data;
-
-  // Seeded randomness per face for variety
-  const rnd = makeSeededRng(`fractal-${faceKey}`);
-  const hue = FACE_HUES[faceKey] || 200;
-  const palette = makePsyPalette(hue, rnd);
-
-  // Choose a fractal type per face
-  const types = ['julia2', 'multibrot3', 'burningship', 'mandelbrot'];
-  const type = types[Math.floor(rnd() * types.length)];
-
-  // Parameters
-  const seeds = {
-    U: { cr: -0.745, ci: 0.186 },
-    D: { cr: -0.391, ci: -0.587 },
-    L: { cr: 0.355, ci: 0.355 },
-    R: { cr: -0.70176, ci: -0.3842 },
-    F: { cr: -0.8, ci: 0.156 },
-    B: { cr: 0.285, ci: 0.01 }
-  };
-  const { cr, ci } = seeds[faceKey] || seeds.F;
-  const maxIter = 80;
-  const zoom = 1.7; // view scale
-  const cx = 0.0, cy = 0.0; // center
-
-  let idx = 0;
-  for (let y = 0; y < size; y++) {
-    const py = (y - size / 2) / (size / (2 * zoom)) + cy;
-    for (let x = 0; x < size; x++) {
-      const px = (x - size / 2) / (size / (2 * zoom)) + cx;
-      // Swirl transform for psychedelic feel
-      const r2 = px * px + py * py;
-      const a = 0.55 * r2;
-      const cosA = Math.cos(a), sinA = Math.sin(a);
-      let sx = px * cosA - py * sinA;
-      let sy = px * sinA + py * cosA;
-
-      let zx, zy, cx0, cy0;
-      if (type === 'mandelbrot' || type === 'burningship' || type === 'multibrot3') {
-        zx = 0; zy = 0; cx0 = sx; cy0 = sy;
-      } else { // julia2
-        zx = sx; zy = sy; cx0 = cr; cy0 = ci;
-      }
-
-      let i = 0;
-      for (; i < maxIter; i++) {
-        let nx, ny;
-        if (type === 'burningship') {
-          const ax = Math.abs(zx), ay = Math.abs(zy);
-          nx = ax * ax - ay * ay + cx0;
-          ny = 2 * ax * ay + cy0;
-        } else if (type === 'multibrot3') {
-          // z = z^3 + c
-          const zx2 = zx * zx, zy2 = zy * zy;
-          nx = zx * (zx2 - 3 * zy2) + cx0;
-          ny = zy * (3 * zx2 - zy2) + cy0;
-        } else { // mandelbrot or julia2 (z^2 + c)
-          nx = zx * zx - zy * zy + cx0;
-          ny = 2 * zx * zy + cy0;
-        }
-        zx = nx; zy = ny;
-        if (zx * zx + zy * zy > 4.0) break;
-      }
-
-      // Smooth coloring t in [0,1]
-      let t = i / maxIter;
-      if (i < maxIter) {
-        const mod2 = zx * zx + zy * zy;
-        const logZn = Math.log(mod2) / 2;
-        const nu = Math.log(logZn / Math.log(2)) / Math.log(2);
-        t = clamp01((i + 1 - nu) / maxIter);
-      }
-
-      // Psychedelic modulation by angle and radius
-      const ang = Math.atan2(zy, zx);
-      const wobble = 0.5 + 0.5 * Math.sin(6 * ang + 10 * t);
-      const tt = clamp01(0.25 + 0.75 * (0.7 * t + 0.3 * wobble));
-      const [r8, g8, b8] = samplePalette(palette, tt);
-
-      data[idx++] = r8;
-      data[idx++] = g8;
-      data[idx++] = b8;
-      data[idx++] = 255;
-    }
-  }
-  ctx.putImageData(img, 0, 0);
+  ctx.fillStyle = `hsl(${settings.hue}, 55%, 32%)`;
+  ctx.fillRect(0, 0, size, size);
+  return faceTextureFromCanvas(canvas);
+}
 
-  // Subtle grid
-  ctx.strokeStyle = 'rgba(255,255,255,0.10)';
-  ctx.lineWidth = 1.5;
-  for (let i = 1; i < 3; i++) {
-    const p = Math.floor((size * i) / 3);
-    ctx.beginPath(); ctx.moveTo(p, 0); ctx.lineTo(p, size); ctx.stroke();
-    ctx.beginPath(); ctx.moveTo(0, p); ctx.lineTo(size, p); ctx.stroke();
+// Texture from an image of the face-art pool: an ImageBitmap or { width, height, data }
+function faceArtTexture(image) {
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  const ctx = canvas.getContext('2d');
+  if (image.data) {
+    const img = ctx.createImageData(image.width, image.height);
+    img.data.set(image.data);
+    ctx.putImageData(img, 0, 0);
+  } else {
+    ctx.drawImage(image, 0, 0); // a canvas, not the bitmap itself: WebGL ignores flipY for ImageBitmaps
+    image.close?.();
   }
-
-  const tex = new THREE.CanvasTexture(canvas);
-  tex.colorSpace = THREE.SRGBColorSpace;
-  tex.wrapS = THREE.ClampToEdgeWrapping;
-  tex.wrapT = THREE.ClampToEdgeWrapping;
-  tex.generateMipmaps = true;
-  tex.minFilter = THREE.LinearMipmapLinearFilter;
-  tex.magFilter = THREE.LinearFilter;
-  return tex;
+  return faceTextureFromCanvas(canvas);
 }
 
-async function loadBaseTextureForFace(faceKey) {
-  if (USE_FRACTAL_FACES) {
-    return generateFractalFaceTexture(faceKey);
-  }
-  const url = FACE_IMAGES[faceKey];
+// Texture of a face image from a custom image record (see face-images.js).
+// An image that no longer decodes gets generated art instead.
+async function loadFaceImageTexture(faceKey, image) {
   try {
-    const tex = await new Promise((resolve, reject) => {
-      textureLoader.load(
-        url,
-        t => resolve(t),
-        undefined,
-        () => reject(new Error('load-failed'))
-      );
-    });
-    tex.colorSpace = THREE.SRGBColorSpace;
-    tex.wrapS = THREE.ClampToEdgeWrapping;
-    tex.wrapT = THREE.ClampToEdgeWrapping;
-    tex.generateMipmaps = true;
-    tex.minFilter = THREE.LinearMipmapLinearFilter;
-    tex.magFilter = THREE.LinearFilter;
+    const bitmap = await createImageBitmap(image.source);
+    const tex = faceTextureFromCanvas(renderFaceImage(bitmap, image.crop, image.rotation));
+    bitmap.close?.();
     return tex;
   } catch (e) {
-    // Fallback: generate an abstract image using 4 colors
+    console.warn(`Image for face ${faceKey} could not be decoded:`, e);
     return generateAbstractFaceTexture(faceKey);
   }
 }
 
-function makeStickerTextureFromBase(baseTexture, col, row) {
-  // col,row in [0..2], origin bottom-left
+function makeStickerTextureFromBase(baseTexture, col, row, n = 3) {
+  // col,row in [0..n-1], origin bottom-left
   const tex = baseTexture.clone();
   tex.needsUpdate = true;
-  tex.offset = new THREE.Vector2(col / 3, row / 3);
-  tex.repeat = new THREE.Vector2(1 / 3, 1 / 3);
+  tex.offset = new THREE.Vector2(col / n, row / n);
+  tex.repeat = new THREE.Vector2(1 / n, 1 / n);
   tex.wrapS = THREE.ClampToEdgeWrapping;
   tex.wrapT = THREE.ClampToEdgeWrapping;
   return tex;
 }
 
-function roundedIndex(value) {
-  // Round position coordinate to -1, 0, or 1
-  const v = Math.round(value);
-  if (v < -1) return -1;
-  if (v > 1) return 1;
-  return v;
-}
-
 function axisOfVector(v) {
   const ax = Math.abs(v.x), ay = Math.abs(v.y), az = Math.abs(v.z);
   if (ax > ay && ax > az) return 'x';
@@ -429,81 +231,202 @@ function vectorForAxis(axis, sign) {
   return new THREE.Vector3(0, 0, sign);
 }
 
-// Build cube and interactions
-(async function init() {
-  const baseTextures = {
-    U: await loadBaseTextureForFace('U'),
-    D: await loadBaseTextureForFace('D'),
-    L: await loadBaseTextureForFace('L'),
-    R: await loadBaseTextureForFace('R'),
-    F: await loadBaseTextureForFace('F'),
-    B: await loadBaseTextureForFace('B')
-  };
+const CUBE_SIZES = [2, 3, 4, 5, 6, 7];
+
+// The theme option: a theme object like DEFAULT_THEME, or a code or seed word for decodeTheme
+function themeFromOption(value) {
+  if (typeof value === 'string') return decodeTheme(value);
+  const out = {};
+  for (const faceKey of FACE_KEYS) out[faceKey] = normalizeFaceSettings(value?.[faceKey], DEFAULT_THEME[faceKey]);
+  return out;
+}
+
+// Mounts a cube into `element` and returns its API (see the end of this function).
+// options: size (2..7, default 3), theme (theme object, code or seed word), animateFaces,
+// controls (false: no orbit, drags or keys, only the API turns it) and app (the full page of
+// index.html with its panels, saved session and share links; used by app.js).
+// Throws RangeError for an unknown size and ThemeError for a bad theme.
+export function mountPsybik(element, options = {}) {
+  const { app = false, controls: interactive = true } = options;
+  if (options.size !== undefined && !CUBE_SIZES.includes(options.size)) {
+    throw new RangeError(`Cube size must be one of ${CUBE_SIZES.join(', ')}, not ${options.size}`);
+  }
+  const themeOption = options.theme !== undefined ? themeFromOption(options.theme) : null; // throws before anything is built
+  // Everything the cube allocates or listens to is released through this (lifecycle.js):
+  // stickers on rebuild, face textures when replaced, the rest on dispose
+  const lifecycle = createLifecycle();
+  const { signal } = lifecycle; // listeners on shared targets (window, the page's panels)
+  // The page's panels belong to the app instance only; embedded instances see none of them
+  const byId = id => (app ? document.getElementById(id) : null);
+  const listeners = new Map(); // event type -> Set of handlers registered with on()
+
+  function emit(type, detail) {
+    for (const handler of listeners.get(type) || []) handler(detail);
+  }
+
+  // Scene, camera, renderer
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color(0x0a0f1c);
+
+  const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 100);
+  camera.position.set(4.5, 3.5, 5.5);
+
+  const renderer = lifecycle.track(new THREE.WebGLRenderer({ antialias: true, powerPreference: 'high-performance' }));
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
+  renderer.shadowMap.enabled = true;
+  element.appendChild(renderer.domElement);
+  lifecycle.onDispose(() => renderer.domElement.remove());
+
+  // Frames are drawn on demand (render-scheduler.js): whatever changes the picture calls
+  // requestRender. Turning layers, moving the view, new face textures and resizing do.
+  const renderScheduler = createRenderScheduler(drawFrame, { requestFrame: lifecycle.frame });
+
+  function requestRender() {
+    renderScheduler.invalidate();
+  }
+
+  function drawFrame() {
+    const moving = controls.update(); // true while damping carries the view on
+    if (animateFaces) setFaceShaderTime(performance.now() / 1000);
+    renderer.render(scene, camera);
+    return moving || animateFaces;
+  }
+
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) requestRender();
+  }, { signal });
+
+  // The canvas fills the element; until it has a size (not laid out yet) the window's is used
+  function onResize() {
+    const w = element.clientWidth || window.innerWidth;
+    const h = element.clientHeight || window.innerHeight;
+    camera.aspect = w / h;
+    camera.updateProjectionMatrix();
+    renderer.setSize(w, h, true);
+    requestRender();
+  }
+  const resizeObserver = typeof ResizeObserver === 'undefined' ? null : new ResizeObserver(onResize);
+  resizeObserver?.observe(element);
+  if (resizeObserver) lifecycle.onDispose(() => resizeObserver.disconnect());
+  window.addEventListener('resize', onResize, { signal });
+  onResize();
+
+  // Lighting
+  scene.add(new THREE.AmbientLight(0x8893a6, 0.55));
+  const dirLight = lifecycle.track(new THREE.DirectionalLight(0xffffff, 0.9));
+  dirLight.position.set(5, 8, 7);
+  dirLight.castShadow = false;
+  scene.add(dirLight);
+
+  // Orbit Controls (trackpad-friendly)
+  const controls = lifecycle.track(new OrbitControls(camera, renderer.domElement));
+  controls.enableDamping = true;
+  controls.dampingFactor = 0.08;
+  controls.rotateSpeed = 0.9;
+  controls.zoomSpeed = 0.9;
+  controls.panSpeed = 0.8;
+  controls.enablePan = false;
+  controls.minDistance = 3;
+  controls.maxDistance = 30;
+  controls.addEventListener('change', requestRender);
+  if (!interactive) {
+    // Turns are driven from code only; the view stays where it is
+    controls.enableRotate = false;
+    controls.enableZoom = false;
+  }
+
+  // Cube root group
+  const cubeRoot = new THREE.Group();
+  scene.add(cubeRoot);
+
+  // Faces start as plain placeholders so the cube shows at once; the face art arrives from
+  // the worker pool (a low-res preview first) and stored images from IndexedDB, see loadFaces
+  const faceImages = {}; // face -> custom image record
+  // Procedural settings of the faces without an image; the app keeps the user's saved theme
+  let theme = themeOption || (app ? loadTheme() : cloneTheme(DEFAULT_THEME));
+  const baseTextures = {};
+  for (const faceKey of FACE_KEYS) {
+    baseTextures[faceKey] = lifecycle.track(generatePlaceholderFaceTexture(theme[faceKey]));
+  }
+  const faceArtPool = lifecycle.track(createFaceArtPool(app ? {} : { workers: 2 })); // embeds stay light, there may be several
+  let animateFaces = options.animateFaces ?? (app && loadAnimateFaces()); // shader faces instead of static textures
+  const faceUniforms = {}; // face -> uniforms shared by the stickers of an animated face
 
+  let cubeSize = options.size ?? 3; // N of the NxN cube
   let cubelets = [];
+  let cubeletsByHome = new Map(); // 'x,y,z' of home position -> mesh
+  let cubeState = createSolvedState(); // logical state; meshes are synced from it
+  const turnLog = []; // every turn since the cube was last solved; Assemble undoes it on non-3x3 cubes
+  let turnLogComplete = true; // undoing turnLog solves the cube; not so for a position given from outside
   const size = 0.98; // slightly smaller for visible gaps
-  const geom = new THREE.BoxGeometry(size, size, size);
-  const innerMat = new THREE.MeshStandardMaterial({ color: 0x0a0a0a });
+  // Shared by every cubelet; they last as long as the cube
+  const geom = lifecycle.track(new THREE.BoxGeometry(size, size, size));
+  const innerMat = lifecycle.track(new THREE.MeshStandardMaterial({ color: 0x0a0a0a }));
+
+  // Frees a sticker material and the texture cut for it; the shared inner material stays
+  function releaseSticker(m) {
+    if (m === innerMat) return;
+    if (m.map) lifecycle.release(m.map);
+    lifecycle.release(m);
+  }
 
-  function buildSolvedCube() {
+  // Builds the meshes of a cubeSize cube and turns them to `state` (solved by default)
+  function buildCube(state = createSolvedState(cubeSize)) {
     // Remove existing
     for (const c of cubelets) {
       cubeRoot.remove(c);
-      if (Array.isArray(c.material)) {
-        for (const m of c.material) {
-          if (m && m.map) m.map.dispose?.();
-          m.dispose?.();
-        }
-      } else {
-        if (c.material && c.material.map) c.material.map.dispose?.();
-        c.material?.dispose?.();
-      }
-      c.geometry?.dispose?.();
+      c.material.forEach(releaseSticker);
     }
     cubelets = [];
+    cubeletsByHome = new Map();
+    turnLog.length = 0;
 
-    for (let xi = -1; xi <= 1; xi++) {
-      for (let yi = -1; yi <= 1; yi++) {
-        for (let zi = -1; zi <= 1; zi++) {
+    // Grid indices 0..n-1; cubelet coordinates are centered on the origin
+    const n = cubeSize;
+    const last = n - 1;
+    const offset = last / 2;
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        for (let k = 0; k < n; k++) {
+          const onSurface = i === 0 || i === last || j === 0 || j === last || k === 0 || k === last;
+          if (!onSurface && n !== 3) continue; // hidden; the 3x3 keeps its core cubelet
+          const xi = i - offset, yi = j - offset, zi = k - offset;
           const materials = new Array(6).fill(innerMat);
 
           // faceIndex mapping: 0:+X(R), 1:-X(L), 2:+Y(U), 3:-Y(D), 4:+Z(F), 5:-Z(B)
           function setSticker(faceIndex, faceKey, col, row) {
-            const base = baseTextures[faceKey];
-            const tex = makeStickerTextureFromBase(base, col, row);
-            const mat = new THREE.MeshBasicMaterial({ map: tex });
-            materials[faceIndex] = mat;
+            materials[faceIndex] = stickerMaterial(faceKey, col, row, n);
           }
 
           // Only assign sticker if cubelet is on that outer face
-          if (zi === 1) {
-            const col = xi + 1; // left->right
-            const row = yi + 1; // bottom->top
+          if (k === last) {
+            const col = i; // left->right
+            const row = j; // bottom->top
             setSticker(FACE_TO_INDEX.F, 'F', col, row);
           }
-          if (zi === -1) {
-            const col = (-xi) + 1; // right-to-left
-            const row = yi + 1;
+          if (k === 0) {
+            const col = last - i; // right-to-left
+            const row = j;
             setSticker(FACE_TO_INDEX.B, 'B', col, row);
           }
-          if (xi === 1) {
-            const col = (-zi) + 1; // right->left as z increases
-            const row = yi + 1;
+          if (i === last) {
+            const col = last - k; // right->left as z increases
+            const row = j;
             setSticker(FACE_TO_INDEX.R, 'R', col, row);
           }
-          if (xi === -1) {
-            const col = (zi) + 1; // left->right as z increases
-            const row = yi + 1;
+          if (i === 0) {
+            const col = k; // left->right as z increases
+            const row = j;
             setSticker(FACE_TO_INDEX.L, 'L', col, row);
           }
-          if (yi === 1) {
-            const col = xi + 1;
-            const row = (-zi) + 1; // top face up-direction toward -Z
+          if (j === last) {
+            const col = i;
+            const row = last - k; // top face up-direction toward -Z
             setSticker(FACE_TO_INDEX.U, 'U', col, row);
           }
-          if (yi === -1) {
-            const col = xi + 1;
-            const row = (zi) + 1; // bottom face up-direction toward +Z
+          if (j === 0) {
+            const col = i;
+            const row = k; // bottom face up-direction toward +Z
             setSticker(FACE_TO_INDEX.D, 'D', col, row);
           }
 
@@ -514,25 +437,157 @@ function vectorForAxis(axis, sign) {
           mesh.userData.home = { x: xi, y: yi, z: zi };
           cubeRoot.add(mesh);
           cubelets.push(mesh);
+          cubeletsByHome.set(`${xi},${yi},${zi}`, mesh);
+        }
+      }
+    }
+    cubeState = state;
+    turnLogComplete = isSolved(state);
+    syncCubeletsFromState();
+  }
+
+  // Animated faces draw their art in a shader (face-shader.js) instead of showing baseTextures;
+  // faces with a custom image and flame faces stay static
+  function isAnimatedFace(faceKey) {
+    return animateFaces && !faceImages[faceKey] && canAnimateFace(theme[faceKey]);
+  }
+
+  function stickerMaterial(faceKey, col, row, n) {
+    let mat;
+    if (isAnimatedFace(faceKey)) {
+      faceUniforms[faceKey] ??= createFaceUniforms(theme[faceKey]);
+      mat = createStickerShaderMaterial(faceUniforms[faceKey], theme[faceKey], col, row, n);
+    } else {
+      mat = new THREE.MeshBasicMaterial({ map: lifecycle.track(makeStickerTextureFromBase(baseTextures[faceKey], col, row, n)) });
+    }
+    mat.userData.sticker = { face: faceKey, col, row }; // lets refreshFaceMaterials redo it
+    return lifecycle.track(mat);
+  }
+
+  // Brings a face's stickers up to date with baseTextures, the theme and the animation setting:
+  // textures are cut again from a new image, shader faces only get new uniforms, and stickers
+  // of the wrong kind are replaced
+  function refreshFaceMaterials(faceKey) {
+    const animated = isAnimatedFace(faceKey);
+    if (animated && faceUniforms[faceKey]) updateFaceUniforms(faceUniforms[faceKey], theme[faceKey]);
+    const base = baseTextures[faceKey];
+    for (const c of cubelets) {
+      c.material.forEach((m, i) => {
+        const sticker = m.userData.sticker;
+        if (!sticker || sticker.face !== faceKey) return;
+        if (animated && m.isShaderMaterial && m.defines.FACE_TYPE === faceShaderType(theme[faceKey])) return;
+        if (!animated && m.map) {
+          if (m.map.source === base.source) return;
+          lifecycle.release(m.map);
+          m.map = lifecycle.track(makeStickerTextureFromBase(base, sticker.col, sticker.row, cubeSize));
+          return;
         }
+        releaseSticker(m);
+        c.material[i] = stickerMaterial(faceKey, sticker.col, sticker.row, cubeSize);
+      });
+    }
+    requestRender();
+  }
+
+  // Shows a new image on one face: every sticker cut from the old one is cut again from `tex`
+  function setFaceTexture(faceKey, tex) {
+    if (lifecycle.disposed) { // an image that arrived after dispose
+      tex.dispose();
+      return;
+    }
+    const old = baseTextures[faceKey];
+    baseTextures[faceKey] = lifecycle.track(tex);
+    refreshFaceMaterials(faceKey);
+    if (old && old !== tex) lifecycle.release(old);
+  }
+
+  // Pixel sizes the face art is drawn at: a quick preview, then the full image
+  const FACE_ART_SIZES = [120, 720];
+
+  // Draws a face's procedural art in the background and shows each size as it arrives,
+  // unless the face has a custom image by then
+  function drawFaceArt(faceKey) {
+    return faceArtPool.render(faceKey, theme[faceKey], FACE_ART_SIZES, image => {
+      if (faceImages[faceKey]) {
+        image.close?.();
+        return;
       }
+      setFaceTexture(faceKey, faceArtTexture(image));
+    });
+  }
+
+  async function loadFaces() {
+    for (const faceKey of FACE_KEYS) drawFaceArt(faceKey);
+    const stored = app ? await loadFaceImages() : {}; // custom images belong to the app
+    for (const [faceKey, image] of Object.entries(stored)) {
+      if (faceImages[faceKey]) continue; // picked in the panel meanwhile
+      faceImages[faceKey] = image;
+      faceArtPool.cancel(faceKey);
+      // eslint-disable-next-line no-await-in-loop
+      const tex = await loadFaceImageTexture(faceKey, image);
+      if (faceImages[faceKey] === image) setFaceTexture(faceKey, tex); // unless replaced or reverted meanwhile
+      else tex.dispose();
     }
+    selectFace(editFace);
+    renderThemeEditor();
   }
 
-  buildSolvedCube();
+  const rotationMatrix = new THREE.Matrix4();
+
+  function syncCubeletsFromState() {
+    for (const { home, position, rotation: r } of cubeletPlacements(cubeState)) {
+      const mesh = cubeletsByHome.get(home.join(','));
+      if (!mesh) continue;
+      mesh.position.set(position[0], position[1], position[2]);
+      rotationMatrix.set(
+        r[0], r[1], r[2], 0,
+        r[3], r[4], r[5], 0,
+        r[6], r[7], r[8], 0,
+        0, 0, 0, 1
+      );
+      mesh.quaternion.setFromRotationMatrix(rotationMatrix);
+      mesh.updateMatrixWorld();
+    }
+    requestRender();
+  }
+
+  // In the app, a share link (share.js) in the address gives the starting position; a bad one
+  // leaves the cube solved and shows why once the page is up
+  let openedLink = null;
+  let openedLinkError = '';
+  try {
+    openedLink = app ? decodeShareHash(location.hash) : null;
+  } catch (e) {
+    if (!(e instanceof ShareError)) throw e;
+    openedLinkError = e.message;
+  }
+  // Otherwise the session saved before the last reload (autosave.js) continues
+  const restored = !app || openedLink || openedLinkError ? null : loadAutosave();
+  const start = openedLink || restored;
+  if (start) cubeSize = start.size;
+  buildCube(start?.state);
+  if (restored) {
+    turnLog.push(...restored.turnLog);
+    turnLogComplete = isSolved(applyMoves(clone(cubeState), invertMoves(turnLog)));
+  }
   fitCameraToObject(cubeRoot, camera, controls, 2.0);
+  if (restored?.camera) {
+    camera.position.fromArray(restored.camera);
+    controls.update();
+  }
   // Initialize UI state once scene is ready
   function noop() {}
-  var updateSetupUI = noop, updateProgressUI = noop; // placeholders to be redefined later
+  var updateSetupUI = noop, updateProgressUI = noop, updateUndoUI = noop, updateTimerUI = noop; // placeholders to be redefined later
+  var scheduleAutosave = noop;
 
   // Interaction state
   const raycaster = new THREE.Raycaster();
   const pointer = new THREE.Vector2();
   let isPointerDown = false;
-  let dragInfo = null; // { normal, axis, sign, layer, plane, startPoint, uVec, vVec }
-  let isTurning = false;
-  const moveHistory = []; // { axis, sign, cw, quarters }
-  let mode = 'idle'; // 'idle' | 'setup' | 'play'
+  let dragInfo = null; // { normal, plane, startPoint, position, preview? }
+  const moveHistory = []; // { axis, sign, cw, quarters, layers? }; doubles as the undo stack
+  const redoStack = []; // undone turns, most recent last; cleared by any new turn
+  let mode = 'idle'; // 'idle' | 'setup' | 'play' | 'tutorial' | 'solve' (timed solve); change it with setMode
   let setupCount = 0;
   const setupSequence = []; // auth sequence performed in setup
 
@@ -550,18 +605,32 @@ function vectorForAxis(axis, sign) {
     return intersects[0] || null;
   }
 
-  function computeFaceBasis(worldNormal) {
-    // Compute orthonormal basis (u right, v up) for the face plane
-    const up = new THREE.Vector3(0, 1, 0);
-    let u = new THREE.Vector3().crossVectors(up, worldNormal);
-    if (u.lengthSq() < 1e-6) {
-      // Normal was colinear with up; use world right instead
-      const right = new THREE.Vector3(1, 0, 0);
-      u = new THREE.Vector3().crossVectors(right, worldNormal);
-    }
-    u.normalize();
-    const v = new THREE.Vector3().crossVectors(worldNormal, u).normalize();
-    return { u, v };
+  // Nearest of the six axis directions, so a cubelet caught mid-turn still gives a clean face
+  function snapToAxis(v) {
+    const axis = axisOfVector(v);
+    return vectorForAxis(axis, Math.sign(v[axis]) || 1);
+  }
+
+  // Logical position of a cubelet mesh, from the model rather than its (maybe moving) mesh
+  function cubeletPosition(mesh) {
+    const { x, y, z } = mesh.userData.home;
+    const placement = cubeletPlacements(cubeState).find(p => p.home[0] === x && p.home[1] === y && p.home[2] === z);
+    return placement ? placement.position : [x, y, z];
+  }
+
+  // The turn a drag asks for: the layer through the grabbed cubelet that is perpendicular to
+  // both the grabbed face and the drag, turned so the sticker follows the pointer.
+  // normal and drag are axis-aligned unit vectors; position is the cubelet's grid position.
+  function turnForDrag(normal, drag, position) {
+    const rotationAxis = new THREE.Vector3().crossVectors(normal, drag); // turning + about it moves the sticker along drag
+    const axis = axisOfVector(rotationAxis);
+    const direction = Math.sign(rotationAxis[axis]);
+    const coord = position[{ x: 0, y: 1, z: 2 }[axis]];
+    const sign = coord < 0 ? -1 : 1; // count depth from the nearer face
+    const depth = Math.round((cubeSize - 1) / 2 - sign * coord);
+    const turn = { axis, sign, cw: sign !== direction };
+    if (depth > 0) turn.layers = [depth];
+    return turn;
   }
 
   function planeIntersectionPoint(e, plane) {
@@ -572,13 +641,15 @@ function vectorForAxis(axis, sign) {
     return out;
   }
 
-  function selectLayer(axis, sign) {
+  function selectLayer(axis, sign, layers) {
+    // Layer membership comes from the logical state, not from mesh floats
+    const axisIndex = { x: 0, y: 1, z: 2 }[axis];
+    const coords = layerCoordinates({ axis, sign, layers }, cubeSize);
     const selected = [];
-    for (const c of cubelets) {
-      // Determine index along axis by rounding its position in cubeRoot space
-      const v = c.position.clone();
-      const idx = roundedIndex(v[axis]);
-      if (idx === sign) selected.push(c);
+    for (const { home, position } of cubeletPlacements(cubeState)) {
+      if (!coords.includes(position[axisIndex])) continue;
+      const mesh = cubeletsByHome.get(home.join(','));
+      if (mesh) selected.push(mesh);
     }
     return selected;
   }
@@ -591,33 +662,73 @@ function vectorForAxis(axis, sign) {
     newParent.attach(child);
   }
 
-  function snapToGrid(object) {
-    object.position.set(
-      Math.round(object.position.x),
-      Math.round(object.position.y),
-      Math.round(object.position.z)
-    );
-    object.updateMatrixWorld();
+  // Base animation time of one quarter turn; `speed` divides it
+  const QUARTER_TURN_MS = 180;
+
+  // Moves the cubelets of a layer into a fresh group that can be rotated as one
+  function holdLayer(axis, sign, layers) {
+    const group = new THREE.Group();
+    cubeRoot.add(group);
+    for (const c of selectLayer(axis, sign, layers)) {
+      attachPreserve(c, group);
+    }
+    return group;
   }
 
-  function animateTurn({ axis, sign, cw, quarters = 1, record = true }) {
+  // Puts the cubelets of a held layer back and applies `move` (or nothing, for null) to the model
+  function releaseLayer(group, move, record) {
+    // Detach children back to cubeRoot, then place them exactly from the model
+    for (const c of [...group.children]) {
+      detachPreserve(c, cubeRoot);
+    }
+    cubeRoot.remove(group);
+    if (!move) {
+      syncCubeletsFromState();
+      return;
+    }
+    const wasSolved = isSolved(cubeState);
+    applyMove(cubeState, move);
+    turnLog.push(move);
+    const solved = isSolved(cubeState);
+    if (solved) {
+      turnLog.length = 0;
+      if (!turnLogComplete) {
+        turnLogComplete = true;
+        updateAssembleUI();
+      }
+    }
+    syncCubeletsFromState();
+    if (record === true) redoStack.length = 0;
+    if (record) recordMove(move);
+    if (mode === 'play') updateProgressUI();
+    if (mode === 'solve') onTimedTurnEnd();
+    if (guide) followGuide(move);
+    scheduleAutosave();
+    emit('move', { move: { ...move }, notation: formatMove(move, cubeSize), solved });
+    if (solved && !wasSolved) emit('solved', { size: cubeSize });
+  }
+
+  // Animates one turn right away; everything else goes through turnQueue via animateTurn.
+  // layers: depths from the face (0 = outer); slices, wide turns and rotations use more than [0].
+  // record: true for a new turn (clears redo), 'redo' to record without clearing, false for none.
+  // instant: apply it without animating (applyAlgorithm of the embedding API)
+  function performTurn({ axis, sign, cw, quarters = 1, layers, record = true, speed = 1, instant = false }) {
+    const move = layers ? { axis, sign, cw, quarters, layers } : { axis, sign, cw, quarters };
+    if (instant) {
+      if (mode === 'solve') onTimedTurnStart(move);
+      releaseLayer(holdLayer(axis, sign, layers), move, record);
+      return Promise.resolve();
+    }
     return new Promise(resolve => {
-      if (isTurning) return resolve();
-      isTurning = true;
       controls.enabled = false;
+      if (mode === 'solve') onTimedTurnStart(move);
 
       const turnAxis = vectorForAxis(axis, sign); // world normal of face
-      const group = new THREE.Group();
-      cubeRoot.add(group);
-
-      const layerCubelets = selectLayer(axis, sign);
-      for (const c of layerCubelets) {
-        attachPreserve(c, group);
-      }
+      const group = holdLayer(axis, sign, layers);
 
       const anglePerQuarter = Math.PI / 2;
       const targetAngle = (cw ? -anglePerQuarter : anglePerQuarter) * Math.max(1, quarters);
-      const duration = 180 * Math.max(1, quarters); // ms
+      const duration = (QUARTER_TURN_MS * Math.max(1, quarters)) / speed; // ms
       const start = performance.now();
 
       const startQuat = group.quaternion.clone();
@@ -626,38 +737,116 @@ function vectorForAxis(axis, sign) {
       function step(now) {
         const t = Math.min(1, (now - start) / duration);
         group.quaternion.slerpQuaternions(startQuat, endQuat, t);
-        renderer.render(scene, camera);
         if (t < 1) {
-          requestAnimationFrame(step);
+          lifecycle.frame(step);
+          requestRender(); // asked after the next step, so each frame shows the newest angle
         } else {
-          // Detach children back to cubeRoot and snap positions
-          for (const c of [...group.children]) {
-            detachPreserve(c, cubeRoot);
-            snapToGrid(c);
-          }
-          cubeRoot.remove(group);
-          if (record) {
-            moveHistory.push({ axis, sign, cw, quarters });
-            if (mode === 'setup') {
-              setupCount += 1;
-              setupSequence.push({ axis, sign, cw, quarters });
-              updateSetupUI();
-            }
-            if (mode === 'play') {
-              updateProgressUI();
-            }
-          }
-          isTurning = false;
+          releaseLayer(group, move, record);
           controls.enabled = true;
           resolve();
         }
       }
-      requestAnimationFrame(step);
+      lifecycle.frame(step);
+    });
+  }
+
+  // How far past the release point a flick carries the layer: release speed times this (ms)
+  const DRAG_INERTIA_MS = 120;
+
+  // A layer turned by hand. The queue runs it like a turn: it holds the layer while the
+  // pointer rotates it (preview.angle, radians about preview.rotationAxis), then waits for
+  // preview.release() and settles on the nearest quarter, counting the release speed, or
+  // back at 0°. Only the settled quarters reach the model and the history.
+  function performDragTurn(preview) {
+    const { turn, rotationAxis } = preview;
+    const group = holdLayer(turn.axis, turn.sign, turn.layers);
+    const setAngle = angle => group.quaternion.setFromAxisAngle(rotationAxis, angle);
+    preview.update = () => {
+      setAngle(preview.angle);
+      requestRender();
+    };
+    preview.update();
+
+    return new Promise(resolve => {
+      preview.release = velocity => {
+        const quarter = Math.PI / 2;
+        const quarters = Math.round((preview.angle + velocity * DRAG_INERTIA_MS) / quarter);
+        const from = preview.angle;
+        const to = quarters * quarter;
+        const steps = ((quarters % 4) + 4) % 4; // turning +angle is `turn`; three of them is one back
+        const move = steps === 0 ? null : { ...turn, cw: steps === 3 ? !turn.cw : turn.cw, quarters: steps === 2 ? 2 : 1 };
+        if (move && mode === 'solve') onTimedTurnStart(move);
+
+        const duration = Math.max(60, QUARTER_TURN_MS * Math.abs(to - from) / quarter);
+        const start = performance.now();
+        function step(now) {
+          const t = Math.min(1, (now - start) / duration);
+          const eased = 1 - (1 - t) ** 3; // fast at first, like the layer is still moving
+          setAngle(from + (to - from) * eased);
+          if (t < 1) {
+            lifecycle.frame(step);
+            requestRender();
+          } else {
+            releaseLayer(group, move, true);
+            controls.enabled = true;
+            resolve();
+          }
+        }
+        lifecycle.frame(step);
+      };
+    });
+  }
+
+  const turnQueue = createMoveQueue(turn => (turn.preview ? performDragTurn(turn.preview) : performTurn(turn)));
+
+  // Queues a turn (same options as performTurn, or a function returning them when its
+  // turn comes). Resolves true once it has been animated, false if the queue was cancelled.
+  function animateTurn(turn) {
+    return turnQueue.push(turn);
+  }
+
+  function recordMove(move) {
+    moveHistory.push(move);
+    if (mode === 'setup') {
+      setupCount += 1;
+      setupSequence.push(move);
+      updateSetupUI();
+    }
+    updateUndoUI();
+  }
+
+  function clearHistory() {
+    moveHistory.length = 0;
+    redoStack.length = 0;
+    updateUndoUI();
+    scheduleAutosave();
+  }
+
+  // Undo and redo are queued like turns and pick their move when they reach the front,
+  // so pressing Ctrl+Z several times in a row walks back through the history
+  function undoTurn() {
+    return animateTurn(() => {
+      const move = moveHistory.pop();
+      if (!move) return null;
+      redoStack.push(move);
+      if (mode === 'setup' && setupSequence.length > 0) {
+        setupCount -= 1;
+        setupSequence.pop();
+        updateSetupUI();
+      }
+      updateUndoUI();
+      return { ...move, cw: !move.cw, record: false };
+    });
+  }
+
+  function redoTurn() {
+    return animateTurn(() => {
+      const move = redoStack.pop();
+      return move ? { ...move, record: 'redo' } : null;
     });
   }
 
   function onPointerDown(e) {
-    if (isTurning) return;
     const hit = pickCubelet(e);
     if (!hit) {
       isPointerDown = false;
@@ -666,19 +855,68 @@ function vectorForAxis(axis, sign) {
     isPointerDown = true;
     controls.enabled = false;
 
-    const faceNormal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld).normalize();
-    const axis = axisOfVector(faceNormal);
-    const sign = Math.sign(faceNormal[axis]) || 1;
+    const faceNormal = snapToAxis(hit.face.normal.clone().transformDirection(hit.object.matrixWorld));
     const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(faceNormal, hit.point.clone());
     const startPoint = planeIntersectionPoint(e, plane);
-    const { u: uVec, v: vVec } = computeFaceBasis(faceNormal);
 
-    dragInfo = { normal: faceNormal, axis, sign, plane, startPoint, uVec, vVec };
+    dragInfo = { normal: faceNormal, plane, startPoint, position: cubeletPosition(hit.object) };
+  }
+
+  // Drags shorter than this (world units) are clicks; past it the drag picks its layer
+  const DRAG_THRESHOLD = 0.18;
+
+  function dragVector(e) {
+    const endPoint = planeIntersectionPoint(e, dragInfo.plane);
+    if (!endPoint || !dragInfo.startPoint) return null;
+    const drag = endPoint.sub(dragInfo.startPoint);
+    return drag.projectOnPlane(dragInfo.normal); // the plane already holds it; this only removes float noise
+  }
+
+  // Starts turning the layer under the pointer by hand. Only when nothing else is turning:
+  // otherwise the drag becomes an ordinary queued turn on release.
+  function startDragPreview(drag) {
+    const { normal, startPoint, position } = dragInfo;
+    const direction = snapToAxis(drag);
+    const preview = {
+      turn: turnForDrag(normal, direction, position),
+      rotationAxis: new THREE.Vector3().crossVectors(normal, direction),
+      direction,
+      // A point on the grabbed face moves along the drag at this many units per radian
+      radius: Math.max(0.5, startPoint.dot(normal)),
+      angle: 0,
+      samples: [] // recent { time, angle } for the release speed
+    };
+    dragInfo.preview = preview;
+    animateTurn({ preview, catchUp: false });
+  }
+
+  function updateDragPreview(preview, drag) {
+    preview.angle = drag.dot(preview.direction) / preview.radius;
+    const now = performance.now();
+    preview.samples.push({ time: now, angle: preview.angle });
+    while (preview.samples.length > 2 && now - preview.samples[0].time > 100) preview.samples.shift();
+    preview.update();
+  }
+
+  // Radians per ms over the last moments of the drag
+  function releaseSpeed(preview) {
+    const now = performance.now();
+    const recent = preview.samples.filter(s => now - s.time <= 100);
+    if (recent.length < 2) return 0;
+    const first = recent[0], last = recent[recent.length - 1];
+    return last.time > first.time ? (last.angle - first.angle) / (last.time - first.time) : 0;
   }
 
   function onPointerMove(e) {
-    if (!isPointerDown || !dragInfo || isTurning) return;
-    // Optional: draw hover or preview; skipped for simplicity
+    if (!isPointerDown || !dragInfo) return;
+    const drag = dragVector(e);
+    if (!drag) return;
+    if (dragInfo.preview) {
+      updateDragPreview(dragInfo.preview, drag);
+    } else if (drag.length() >= DRAG_THRESHOLD && !turnQueue.busy) {
+      startDragPreview(drag);
+      updateDragPreview(dragInfo.preview, drag);
+    }
   }
 
   async function onPointerUp(e) {
@@ -688,42 +926,34 @@ function vectorForAxis(axis, sign) {
     }
     isPointerDown = false;
 
-    const { normal, axis, sign, plane, startPoint, uVec, vVec } = dragInfo;
-    dragInfo = null;
-
-    const endPoint = planeIntersectionPoint(e, plane);
-    if (!endPoint || !startPoint) { controls.enabled = true; return; }
-    const move = endPoint.clone().sub(startPoint);
-    const du = move.dot(uVec);
-    const dv = move.dot(vVec);
-
-    const threshold = 0.18; // world units
-    const adu = Math.abs(du);
-    const adv = Math.abs(dv);
-    if (Math.max(adu, adv) < threshold) {
-      controls.enabled = true; // treat as click
+    const { preview } = dragInfo;
+    if (preview) {
+      const drag = dragVector(e);
+      if (drag) updateDragPreview(preview, drag);
+      dragInfo = null;
+      preview.release(releaseSpeed(preview));
       return;
     }
 
-    let cw;
-    if (adu >= adv) {
-      // Drag along u (right/left) → clockwise if positive when looking along face normal
-      cw = du > 0;
-    } else {
-      // Drag along v (up/down) → clockwise if negative (screen-space up is CCW)
-      cw = dv < 0;
+    const { normal, position } = dragInfo;
+    const drag = dragVector(e);
+    dragInfo = null;
+    if (!drag || drag.length() < DRAG_THRESHOLD) {
+      controls.enabled = true; // treat as click
+      return;
     }
 
-    await animateTurn({ axis, sign, cw });
+    await animateTurn(turnForDrag(normal, snapToAxis(drag), position));
   }
 
-  renderer.domElement.addEventListener('pointerdown', onPointerDown);
-  window.addEventListener('pointermove', onPointerMove);
-  window.addEventListener('pointerup', onPointerUp);
-  window.addEventListener('pointerleave', onPointerUp);
+  if (interactive) {
+    renderer.domElement.addEventListener('pointerdown', onPointerDown, { signal });
+    window.addEventListener('pointermove', onPointerMove, { signal });
+    window.addEventListener('pointerup', onPointerUp, { signal });
+    window.addEventListener('pointerleave', onPointerUp, { signal });
+  }
 
   function onDoubleClick(e) {
-    if (isTurning) return;
     const hit = pickCubelet(e);
     if (!hit) return;
     const faceNormal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld).normalize();
@@ -733,39 +963,38 @@ function vectorForAxis(axis, sign) {
     animateTurn({ axis, sign, cw: true, quarters: 2 });
   }
 
-  renderer.domElement.addEventListener('dblclick', onDoubleClick);
+  if (interactive) renderer.domElement.addEventListener('dblclick', onDoubleClick, { signal });
 
   // UI buttons
-  const btnScramble = document.getElementById('btn-scramble');
-  const btnReset = document.getElementById('btn-reset');
-  const btnSetup = document.getElementById('btn-setup');
-  const btnPlay = document.getElementById('btn-play');
-  const setupCounterEl = document.getElementById('setup-count');
-  const progressFill = document.querySelector('#progress-panel .fill');
-  const progressValue = document.getElementById('progress-value');
-
-  function computeCloseness() {
-    // Fraction of non-core cubelets in their home position and orientation
-    let correct = 0;
-    let total = 0;
-    for (const c of cubeRoot.children) {
-      if (!(c instanceof THREE.Mesh)) continue;
-      const home = c.userData.home;
-      if (!home) continue;
-      const isCore = home.x === 0 && home.y === 0 && home.z === 0;
-      if (isCore) continue;
-      total++;
-      const posOk = Math.abs(c.position.x - home.x) < 1e-3 && Math.abs(c.position.y - home.y) < 1e-3 && Math.abs(c.position.z - home.z) < 1e-3;
-      const xAxis = new THREE.Vector3(1,0,0).applyQuaternion(c.quaternion);
-      const yAxis = new THREE.Vector3(0,1,0).applyQuaternion(c.quaternion);
-      const zAxis = new THREE.Vector3(0,0,1).applyQuaternion(c.quaternion);
-      const aligned = (Math.abs(Math.abs(xAxis.x) - 1) < 1e-3 || Math.abs(Math.abs(xAxis.y) - 1) < 1e-3 || Math.abs(Math.abs(xAxis.z) - 1) < 1e-3) &&
-                      (Math.abs(Math.abs(yAxis.x) - 1) < 1e-3 || Math.abs(Math.abs(yAxis.y) - 1) < 1e-3 || Math.abs(Math.abs(yAxis.z) - 1) < 1e-3) &&
-                      (Math.abs(Math.abs(zAxis.x) - 1) < 1e-3 || Math.abs(Math.abs(zAxis.y) - 1) < 1e-3 || Math.abs(Math.abs(zAxis.z) - 1) < 1e-3);
-      if (posOk && aligned) correct++;
-    }
-    if (total === 0) return 1;
-    return Math.max(0, Math.min(1, correct / total));
+  const btnScramble = byId('btn-scramble');
+  const btnReset = byId('btn-reset');
+  const btnSetup = byId('btn-setup');
+  const btnPlay = byId('btn-play');
+  const btnTutorial = byId('btn-tutorial');
+  const btnHint = byId('btn-hint');
+  const setupCounterEl = byId('setup-count');
+  const progressFill = byId('progress-panel')?.querySelector('.fill');
+  const progressValue = byId('progress-value');
+
+  const progressDetail = byId('progress-detail');
+  const progressEstimate = byId('progress-estimate');
+
+  // The move estimate runs the solver (tens of ms), so it waits until no turns are queued
+  let estimateScheduled = false;
+  function scheduleEstimate() {
+    if (estimateScheduled || !progressEstimate) return;
+    estimateScheduled = true;
+    (window.requestIdleCallback || setTimeout)(async () => {
+      await turnQueue.idle();
+      estimateScheduled = false;
+      if (mode !== 'play') {
+        progressEstimate.textContent = '';
+        return;
+      }
+      const n = estimateMoves(cubeState);
+      if (n === null) progressEstimate.textContent = '';
+      else progressEstimate.textContent = n === 0 ? 'Solved' : `~${n} move${n === 1 ? '' : 's'} to go`;
+    });
   }
 
   updateSetupUI = function updateSetupUIImpl() {
@@ -779,99 +1008,1785 @@ function vectorForAxis(axis, sign) {
 
   updateProgressUI = function updateProgressUIImpl() {
     if (!progressFill) return;
-    const p = mode === 'play' ? computeCloseness() : 0;
-    const pct = Math.round(p * 100);
+    const score = mode === 'play' ? scoreState(cubeState) : null;
+    const pct = score ? Math.round(score.fraction * 100) : 0;
     progressFill.style.width = `${pct}%`;
     if (progressValue) progressValue.textContent = `${pct}%`;
+    if (progressDetail) {
+      progressDetail.textContent = score
+        ? ['corners', 'edges', 'centers'].filter(k => score[k].total > 0).map(k => `${k[0].toUpperCase()}${k.slice(1)} ${score[k].solved}/${score[k].total}`).join(' · ')
+        : '';
+    }
+    if (score) scheduleEstimate();
+    else if (progressEstimate) progressEstimate.textContent = '';
   };
 
-  btnScramble.addEventListener('click', async () => {
-    if (isTurning) return;
-    controls.enabled = false;
-    const faces = [
-      { axis: 'x', sign: 1 }, { axis: 'x', sign: -1 },
-      { axis: 'y', sign: 1 }, { axis: 'y', sign: -1 },
-      { axis: 'z', sign: 1 }, { axis: 'z', sign: -1 }
-    ];
-    const n = 20;
-    moveHistory.length = 0;
-    for (let i = 0; i < n; i++) {
-      const f = faces[Math.floor(Math.random() * faces.length)];
-      const cw = Math.random() < 0.5;
-      // Avoid immediate opposite turns for nicer sequence
-      // eslint-disable-next-line no-await-in-loop
-      await animateTurn({ axis: f.axis, sign: f.sign, cw });
+  // Scramble from the seed field (a fresh seed when empty); the text and seed stay on
+  // screen so someone else can enter the seed and get the same scramble
+  const scrambleText = byId('scramble-text');
+  const scrambleSeed = byId('scramble-seed');
+  const scrambleRandomState = byId('scramble-random-state');
+  let lastScramble = null;
+
+  // Options override the scramble panel (mountPsybik's scramble())
+  async function scrambleCube({ seed = scrambleSeed?.value.trim() || undefined, randomState = Boolean(scrambleRandomState?.checked) } = {}) {
+    stopAlgorithmPlayer();
+    closeReplay();
+    lastScramble = generateScramble({ seed, size: cubeSize, randomState });
+    if (scrambleText) {
+      scrambleText.textContent = lastScramble.text;
+      scrambleText.title = `Seed ${lastScramble.seed}${lastScramble.randomState ? ', random state' : ''}`;
     }
+    if (scrambleSeed) scrambleSeed.placeholder = lastScramble.seed;
+    controls.enabled = false;
+    clearHistory();
+    // Not recorded: Undo does not walk back through the scramble, and Setup does not keep it
+    await Promise.all(lastScramble.moves.map(m => animateTurn({ ...m, record: false })));
     controls.enabled = true;
-    if (mode === 'play') updateProgressUI();
-  });
+    return lastScramble;
+  }
 
-  btnReset.addEventListener('click', async () => {
-    if (isTurning) return;
+  btnScramble?.addEventListener('click', () => {
+    if (turnQueue.busy) return;
+    if (mode === 'solve') setMode('idle');
+    scrambleCube();
+  }, { signal });
+
+  async function resetCube() {
     controls.enabled = false;
-    buildSolvedCube();
-    moveHistory.length = 0;
+    stopAlgorithmPlayer();
+    closeReplay();
+    // Drop queued turns and let the one on screen finish before rebuilding
+    turnQueue.cancel();
+    await turnQueue.idle();
+    if (mode === 'solve') setMode('idle');
+    if (mode === 'setup') offerToSavePattern(); // the recording so far is not lost
+    buildCube();
+    updateAssembleUI();
+    clearHistory();
     controls.enabled = true;
     setupCount = 0; setupSequence.length = 0; updateSetupUI(); updateProgressUI();
-  });
+    refreshGuide();
+  }
 
-  const btnSolve = document.getElementById('btn-solve');
-  btnSolve.addEventListener('click', async () => {
-    if (isTurning || moveHistory.length === 0) return;
+  btnReset?.addEventListener('click', resetCube, { signal });
+
+  // Cube size: rebuilds a solved NxN cube with the same face images split N x N
+  const sizeSelect = byId('cube-size');
+
+  function updateSizeUI() {
+    if (scrambleRandomState) {
+      scrambleRandomState.disabled = cubeSize !== 3;
+      if (cubeSize !== 3) scrambleRandomState.checked = false;
+    }
+    if (btnTutorial) btnTutorial.disabled = cubeSize !== 3;
+    if (btnHint) btnHint.disabled = cubeSize !== 3;
+    updateAssembleUI();
+  }
+
+  async function changeSize(size) {
+    if (mode === 'tutorial' && size !== 3) setMode('idle');
+    cubeSize = size;
+    if (sizeSelect) sizeSelect.value = String(size);
+    await resetCube();
+    fitCameraToObject(cubeRoot, camera, controls, 2.0);
+    lastScramble = null;
+    if (scrambleText) scrambleText.textContent = '';
+    if (player.moves.length) loadAlgorithm(); // re-read the algorithm for the new size
+    updateSizeUI();
+    renderSession(); // times are kept per size
+    updateTimerUI();
+  }
+
+  sizeSelect?.addEventListener('change', () => changeSize(Number(sizeSelect.value) || 3), { signal });
+
+  const btnSolve = byId('btn-solve');
+  const solveStatus = byId('solve-status');
+  const solveTitle = btnSolve?.title;
+  let solverThread = null; // started with the first 3x3 Assemble (solver-thread.js)
+  let solving = false;
+
+  function setSolveStatus(text) {
+    if (solveStatus) solveStatus.textContent = text;
+  }
+
+  // Without a solver for other sizes, Assemble needs the turns that led here from solved
+  function updateAssembleUI() {
+    if (!btnSolve) return;
+    const blocked = cubeSize !== 3 && !turnLogComplete;
+    btnSolve.disabled = blocked || solving;
+    btnSolve.title = blocked
+      ? `This ${cubeSize}×${cubeSize} position was opened as it is, not turned here from solved, so Assemble has no turns to undo`
+      : solveTitle;
+  }
+
+  btnSolve?.addEventListener('click', async () => {
+    if (turnQueue.busy) return;
+    if (isSolved(cubeState)) return;
+    if (cubeSize !== 3 && !turnLogComplete) return;
+    setSolveStatus('');
+    // Other sizes play back the turns since the last solved state
+    let solution = mergeMoves(invertMoves(turnLog));
+    if (cubeSize === 3) {
+      // The solver takes a few hundred ms, in a worker so the page keeps drawing and turning
+      const asked = clone(cubeState);
+      solving = true;
+      updateAssembleUI();
+      setSolveStatus('Solving…');
+      try {
+        solverThread ??= lifecycle.track(createSolverThread());
+        solution = await solverThread.solve(asked);
+      } catch (e) {
+        console.warn('Assemble failed:', e);
+        setSolveStatus(`Assemble failed: ${e.message}`);
+        return;
+      } finally {
+        solving = false;
+        updateAssembleUI();
+      }
+      if (!equals(asked, cubeState) || turnQueue.busy) {
+        setSolveStatus('The cube was turned while solving; press Assemble again.');
+        return;
+      }
+      setSolveStatus('');
+    }
     controls.enabled = false;
     // Ensure progress bar reflects assembly progress
-    mode = 'play';
+    setMode('play');
+    // Queued in one go so nothing can slip in between; played at normal speed
+    await Promise.all(solution.map(m => animateTurn({ ...m, record: false, catchUp: false })));
+    clearHistory();
+    controls.enabled = true;
     updateProgressUI();
-    // Replay inverse moves
-    for (let i = moveHistory.length - 1; i >= 0; i--) {
-      const m = moveHistory[i];
-      const inverse = { axis: m.axis, sign: m.sign, cw: !m.cw, quarters: m.quarters, record: false };
+  }, { signal });
+
+  // Build solver lookup tables while the page is idle
+  (window.requestIdleCallback || setTimeout)(() => prepareSolver());
+
+  // Algorithm player: plays a pasted sequence from the current cube state
+  const algInput = byId('alg-input');
+  const algLoad = byId('alg-load');
+  const algBack = byId('alg-back');
+  const algPlay = byId('alg-play');
+  const algNext = byId('alg-next');
+  const algSeek = byId('alg-seek');
+  const algPos = byId('alg-pos');
+  const algSpeed = byId('alg-speed');
+  const algMoves = byId('alg-moves');
+  const algError = byId('alg-error');
+
+  // index: moves of the algorithm applied so far; target: where playback is heading;
+  // scrubbing: jumping with the slider or a move label, animated faster than playback
+  // session: bumped when the player is stopped, so a run in progress knows to let go
+  const player = { moves: [], index: 0, target: 0, running: false, scrubbing: false, session: 0 };
+
+  function playerSpeed() {
+    return Number(algSpeed?.value) || 1;
+  }
+
+  function updatePlayerUI() {
+    if (!algMoves) return;
+    const n = player.moves.length;
+    algSeek.max = String(n);
+    algSeek.value = String(player.target);
+    algPos.textContent = `${player.index} / ${n}`;
+    const playing = player.running && player.target === n && player.index < n;
+    algPlay.textContent = playing ? 'Pause' : 'Play';
+    algPlay.disabled = n === 0 || (player.index === n && !playing);
+    algBack.disabled = player.index === 0;
+    algNext.disabled = player.index === n;
+    algMoves.querySelectorAll('span').forEach((el, i) => {
+      el.classList.toggle('done', i < player.index);
+      el.classList.toggle('next', i === player.index);
+    });
+  }
+
+  async function runPlayer() {
+    if (player.running) return;
+    player.running = true;
+    const session = player.session;
+    updatePlayerUI();
+    while (player.index !== player.target) {
+      const forward = player.target > player.index;
+      const m = forward ? player.moves[player.index] : player.moves[player.index - 1];
+      const turn = forward ? m : { ...m, cw: !m.cw };
+      const boost = player.scrubbing && Math.abs(player.target - player.index) > 1 ? 3 : 1;
       // eslint-disable-next-line no-await-in-loop
-      await animateTurn(inverse);
-      // Update closeness after each animated step
-      updateProgressUI();
+      const done = await animateTurn({ ...turn, record: false, speed: playerSpeed() * boost });
+      if (session !== player.session) break;
+      if (!done) {
+        // The queue was cancelled; stop here rather than lose track of the index
+        player.target = player.index;
+        break;
+      }
+      player.index += forward ? 1 : -1;
+      if (mode === 'play') updateProgressUI();
+      updatePlayerUI();
     }
-    moveHistory.length = 0;
+    player.running = false;
+    updatePlayerUI();
+  }
+
+  function seekPlayer(target, scrubbing = false) {
+    player.target = Math.max(0, Math.min(player.moves.length, target));
+    player.scrubbing = scrubbing;
+    runPlayer();
+  }
+
+  function stopAlgorithmPlayer() {
+    player.session += 1;
+    player.target = player.index = 0;
+    updatePlayerUI();
+  }
+
+  function loadAlgorithm() {
+    algError.textContent = '';
+    let moves;
+    try {
+      moves = parseMoves(algInput.value, cubeSize);
+    } catch (e) {
+      if (!(e instanceof NotationError)) throw e;
+      algError.textContent = e.message;
+      algInput.focus();
+      algInput.setSelectionRange(e.position, e.position + e.token.length);
+      // Nothing stays loaded: moves read for another size would turn different layers
+      player.moves = [];
+      player.index = player.target = 0;
+      algMoves.replaceChildren();
+      updatePlayerUI();
+      return;
+    }
+    player.moves = moves;
+    player.index = player.target = 0;
+    algMoves.replaceChildren(...moves.map((m, i) => {
+      const el = document.createElement('span');
+      el.textContent = formatMove(m, cubeSize);
+      el.title = `Jump to move ${i + 1}`;
+      el.addEventListener('click', () => seekPlayer(i + 1, true));
+      return el;
+    }));
+    updatePlayerUI();
+  }
+
+  if (algMoves) {
+    algLoad.addEventListener('click', () => {
+      if (player.running) return;
+      loadAlgorithm();
+    }, { signal });
+    algInput.addEventListener('keydown', e => {
+      if (e.key === 'Enter' && !player.running) loadAlgorithm();
+    }, { signal });
+    algPlay.addEventListener('click', () => {
+      if (player.running && player.target === player.moves.length) {
+        player.target = Math.min(player.moves.length, player.index + 1); // pause after the current move
+        updatePlayerUI();
+      } else {
+        seekPlayer(player.moves.length);
+      }
+    }, { signal });
+    algBack.addEventListener('click', () => seekPlayer(player.target - 1), { signal });
+    algNext.addEventListener('click', () => seekPlayer(player.target + 1), { signal });
+    algSeek.addEventListener('input', () => seekPlayer(Number(algSeek.value), true), { signal });
+    updatePlayerUI();
+  }
+
+  // Undo / redo
+  const btnUndo = byId('btn-undo');
+  const btnRedo = byId('btn-redo');
+
+  updateUndoUI = function updateUndoUIImpl() {
+    if (btnUndo) btnUndo.disabled = moveHistory.length === 0;
+    if (btnRedo) btnRedo.disabled = redoStack.length === 0;
+  };
+
+  btnUndo?.addEventListener('click', undoTurn, { signal });
+  btnRedo?.addEventListener('click', redoTurn, { signal });
+
+  // The app takes keys anywhere on the page; an embedded cube only while it has the focus
+  const keyTarget = app ? window : element;
+  if (interactive && !app && element.tabIndex < 0) element.tabIndex = 0;
+
+  keyTarget.addEventListener('keydown', e => {
+    if (!interactive) return;
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    // Text fields keep their own undo
+    if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undoTurn();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      redoTurn();
+    }
+  }, { signal });
+
+  // Keyboard turns: bound keys turn like the pointer does and share its history
+  let keymap = loadKeymap();
+  let rebinding = null; // move token waiting for its new key in the keymap editor
+
+  function isTextField(el) {
+    return el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement || el instanceof HTMLSelectElement;
+  }
+
+  keyTarget.addEventListener('keydown', e => {
+    if (!interactive || e.ctrlKey || e.metaKey || e.altKey || isTextField(e.target)) return;
+    if (rebinding) {
+      e.preventDefault();
+      if (e.code !== 'Escape') {
+        keymap = bindKey(keymap, e.code, rebinding);
+        saveKeymap(keymap);
+      }
+      rebinding = null;
+      renderKeymap();
+      return;
+    }
+    const move = moveForKey(keymap, e.code, e.shiftKey, cubeSize);
+    if (!move || e.repeat) return;
+    e.preventDefault();
+    animateTurn(move);
+  }, { signal });
+
+  // Keymap editor: click a move, then press the key that should turn it (Esc cancels)
+  const keysGrid = byId('keys-grid');
+  const keysReset = byId('keys-reset');
+
+  function renderKeymap() {
+    if (!keysGrid) return;
+    keysGrid.replaceChildren(...BINDABLE_MOVES.map(token => {
+      const code = Object.keys(keymap).find(c => keymap[c] === token);
+      const btn = document.createElement('button');
+      btn.textContent = `${token}: ${rebinding === token ? '…' : keyLabel(code)}`;
+      btn.title = `Press to rebind ${token}`;
+      btn.classList.toggle('active', rebinding === token);
+      btn.addEventListener('click', () => {
+        rebinding = rebinding === token ? null : token;
+        btn.blur();
+        renderKeymap();
+      });
+      return btn;
+    }));
+  }
+
+  keysReset?.addEventListener('click', () => {
+    keymap = resetKeymap();
+    rebinding = null;
+    renderKeymap();
+  }, { signal });
+  renderKeymap();
+
+  // Face images: pick a face, then choose or drop an image for it. The square can be moved
+  // (drag it), resized (Zoom) and turned (Rotate); the cube shows every change right away and
+  // the result is kept in IndexedDB. Fractal brings the generated art back.
+  const facesList = byId('faces-list');
+  const faceCrop = byId('face-crop');
+  const faceFile = byId('face-file');
+  const faceRotate = byId('face-rotate');
+  const faceRevert = byId('face-revert');
+  const faceZoom = byId('face-zoom');
+  const faceStatus = byId('face-status');
+  const facesPanel = byId('faces-panel');
+
+  let editFace = 'F';
+  let editing = null; // { face, source, bitmap, crop, rotation } of the face being edited, null for a fractal face
+  let faceApplyFrame = 0;
+  let cropDrag = null; // { x, y, crop } where a drag on the crop preview started
+  let faceSelectSession = 0; // a newer selection wins over a slower decode
+
+  function setFaceStatus(text) {
+    if (faceStatus) faceStatus.textContent = text;
+  }
+
+  // Scale and offset that fit the image being edited into the crop preview
+  function cropView() {
+    const { width, height } = editing.bitmap;
+    const scale = Math.min(faceCrop.width / width, faceCrop.height / height);
+    return { scale, left: (faceCrop.width - width * scale) / 2, top: (faceCrop.height - height * scale) / 2 };
+  }
+
+  function renderFaceEditor() {
+    if (facesList) {
+      facesList.replaceChildren(...FACE_KEYS.map(faceKey => {
+        const btn = document.createElement('button');
+        btn.textContent = faceKey;
+        btn.title = faceImages[faceKey] ? `Face ${faceKey}: custom image (drop an image here to replace it)` : `Face ${faceKey}: fractal (drop an image here)`;
+        btn.classList.toggle('active', faceKey === editFace);
+        btn.classList.toggle('custom', Boolean(faceImages[faceKey]));
+        btn.addEventListener('click', () => selectFace(faceKey));
+        btn.addEventListener('dragover', e => e.preventDefault());
+        btn.addEventListener('drop', e => {
+          e.preventDefault();
+          e.stopPropagation();
+          const file = e.dataTransfer?.files?.[0];
+          if (file) loadFaceFile(faceKey, file);
+        });
+        return btn;
+      }));
+    }
+    if (faceRotate) faceRotate.disabled = !editing;
+    if (faceZoom) faceZoom.disabled = !editing;
+    if (faceRevert) faceRevert.disabled = !faceImages[editFace];
+    if (!faceCrop) return;
+    const ctx = faceCrop.getContext('2d');
+    ctx.clearRect(0, 0, faceCrop.width, faceCrop.height);
+    if (!editing) {
+      ctx.fillStyle = 'rgba(230, 234, 242, 0.6)';
+      ctx.font = '13px system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(`${editFace}: fractal — choose or drop an image`, faceCrop.width / 2, faceCrop.height / 2);
+      return;
+    }
+    const { bitmap, crop } = editing;
+    const { scale, left, top } = cropView();
+    ctx.drawImage(bitmap, left, top, bitmap.width * scale, bitmap.height * scale);
+    // Dim everything outside the square
+    const x = left + crop.x * scale, y = top + crop.y * scale, s = crop.size * scale;
+    ctx.fillStyle = 'rgba(6, 8, 15, 0.6)';
+    ctx.fillRect(0, 0, faceCrop.width, y);
+    ctx.fillRect(0, y + s, faceCrop.width, faceCrop.height - y - s);
+    ctx.fillRect(0, y, x, s);
+    ctx.fillRect(x + s, y, faceCrop.width - x - s, s);
+    ctx.strokeStyle = '#72ff5e';
+    ctx.lineWidth = 1.5;
+    ctx.strokeRect(x, y, s, s);
+    if (faceZoom) faceZoom.value = String(Math.round((crop.size / Math.min(bitmap.width, bitmap.height)) * 100));
+  }
+
+  // Puts the edited image on the cube (once per frame while dragging); persist also stores it
+  function applyFaceEdit(persist) {
+    if (!editing) return;
+    const edit = editing;
+    if (!persist) {
+      if (faceApplyFrame) return;
+      faceApplyFrame = lifecycle.frame(() => {
+        faceApplyFrame = 0;
+        if (editing === edit) setFaceTexture(edit.face, faceTextureFromCanvas(renderFaceImage(edit.bitmap, edit.crop, edit.rotation)));
+      });
+      return;
+    }
+    lifecycle.cancelFrame(faceApplyFrame);
+    faceApplyFrame = 0;
+    faceArtPool.cancel(edit.face);
+    const record = { face: edit.face, source: edit.source, crop: { ...edit.crop }, rotation: edit.rotation };
+    faceImages[edit.face] = record;
+    setFaceTexture(edit.face, faceTextureFromCanvas(renderFaceImage(edit.bitmap, edit.crop, edit.rotation)));
+    renderFaceEditor();
+    saveFaceImage(record).then(saved => {
+      if (!saved) setFaceStatus('Could not save the image; it is shown until the page is reloaded.');
+    });
+  }
+
+  // Ends the current edit and frees its decoded image
+  function stopEditing() {
+    editing?.bitmap.close?.();
+    editing = null;
+  }
+  lifecycle.onDispose(stopEditing);
+
+  async function selectFace(faceKey) {
+    const session = ++faceSelectSession;
+    editFace = faceKey;
+    stopEditing();
+    setFaceStatus('');
+    const record = faceImages[faceKey];
+    if (record) {
+      try {
+        const bitmap = await createImageBitmap(record.source);
+        if (session !== faceSelectSession) {
+          bitmap.close?.(); // a newer selection won
+          return;
+        }
+        editing = { face: faceKey, source: record.source, bitmap, crop: { ...record.crop }, rotation: record.rotation || 0 };
+      } catch (e) {
+        if (session !== faceSelectSession) return;
+        setFaceStatus('The stored image could not be read; choose another one or go back to the fractal.');
+      }
+    }
+    renderFaceEditor();
+  }
+
+  async function loadFaceFile(faceKey, file) {
+    const session = ++faceSelectSession;
+    editFace = faceKey;
+    if (!file.type.startsWith('image/')) {
+      setFaceStatus(`${file.name} is not an image.`);
+      renderFaceEditor();
+      return;
+    }
+    let bitmap;
+    try {
+      bitmap = await createImageBitmap(file);
+    } catch (e) {
+      if (session === faceSelectSession) setFaceStatus(`${file.name} could not be read as an image.`);
+      return;
+    }
+    if (session !== faceSelectSession) {
+      bitmap.close?.();
+      return;
+    }
+    setFaceStatus('');
+    stopEditing();
+    editing = { face: faceKey, source: file, bitmap, crop: defaultCrop(bitmap.width, bitmap.height), rotation: 0 };
+    applyFaceEdit(true);
+  }
+
+  faceFile?.addEventListener('change', () => {
+    const file = faceFile.files?.[0];
+    if (file) loadFaceFile(editFace, file);
+    faceFile.value = ''; // choosing the same file again still fires change
+  }, { signal });
+
+  facesPanel?.addEventListener('dragover', e => e.preventDefault(), { signal });
+  facesPanel?.addEventListener('drop', e => {
+    e.preventDefault();
+    const file = e.dataTransfer?.files?.[0];
+    if (file) loadFaceFile(editFace, file);
+  }, { signal });
+
+  faceRotate?.addEventListener('click', () => {
+    if (!editing) return;
+    editing.rotation = (editing.rotation + 1) % 4;
+    applyFaceEdit(true);
+  }, { signal });
+
+  faceZoom?.addEventListener('input', () => {
+    if (!editing) return;
+    const { bitmap, crop } = editing;
+    const size = (Number(faceZoom.value) / 100) * Math.min(bitmap.width, bitmap.height);
+    const centerX = crop.x + crop.size / 2, centerY = crop.y + crop.size / 2;
+    editing.crop = clampCrop({ x: centerX - size / 2, y: centerY - size / 2, size }, bitmap.width, bitmap.height);
+    renderFaceEditor();
+    applyFaceEdit(false);
+  }, { signal });
+  faceZoom?.addEventListener('change', () => applyFaceEdit(true), { signal });
+
+  faceCrop?.addEventListener('pointerdown', e => {
+    if (!editing) return;
+    faceCrop.setPointerCapture?.(e.pointerId);
+    cropDrag = { x: e.clientX, y: e.clientY, crop: { ...editing.crop } };
+  }, { signal });
+  faceCrop?.addEventListener('pointermove', e => {
+    if (!cropDrag || !editing) return;
+    const { scale } = cropView();
+    const rect = faceCrop.getBoundingClientRect();
+    const pixels = rect.width ? faceCrop.width / rect.width : 1; // CSS px -> canvas px
+    const { bitmap } = editing;
+    editing.crop = clampCrop({
+      ...cropDrag.crop,
+      x: cropDrag.crop.x + ((e.clientX - cropDrag.x) * pixels) / scale,
+      y: cropDrag.crop.y + ((e.clientY - cropDrag.y) * pixels) / scale
+    }, bitmap.width, bitmap.height);
+    renderFaceEditor();
+    applyFaceEdit(false);
+  }, { signal });
+  function endCropDrag() {
+    if (!cropDrag) return;
+    cropDrag = null;
+    applyFaceEdit(true);
+  }
+  faceCrop?.addEventListener('pointerup', endCropDrag, { signal });
+  faceCrop?.addEventListener('pointercancel', endCropDrag, { signal });
+
+  faceRevert?.addEventListener('click', () => {
+    const faceKey = editFace;
+    if (!faceImages[faceKey]) return;
+    faceSelectSession++;
+    delete faceImages[faceKey];
+    stopEditing();
+    refreshFaceMaterials(faceKey); // an animated face shows its art right away
+    drawFaceArt(faceKey);
+    removeFaceImage(faceKey);
+    setFaceStatus('');
+    renderFaceEditor();
+  }, { signal });
+  selectFace(editFace);
+
+  // Theme editor: the procedural settings of each face, edited live. The whole theme is shown
+  // as a code that can be copied and applied elsewhere; any other word applied there becomes a
+  // random theme seeded by it. Faces with a custom image keep it.
+  const themeFaces = byId('theme-faces');
+  const themeType = byId('theme-type');
+  const themeSettingInputs = [...(byId('theme-panel')?.querySelectorAll('[data-setting]') || [])];
+  const themeJulia = byId('theme-julia');
+  const themeSeed = byId('theme-seed');
+  const themeCode = byId('theme-code');
+  const themeApply = byId('theme-apply');
+  const themeCopy = byId('theme-copy');
+  const themeRandom = byId('theme-random');
+  const themeDefault = byId('theme-default');
+  const themeError = byId('theme-error');
+  const themeAnimate = byId('theme-animate');
+
+  let themeFace = 'F';
+  let themeRedrawTimer = 0;
+  lifecycle.onDispose(() => clearTimeout(themeRedrawTimer));
+
+  if (themeType) {
+    themeType.replaceChildren(...FACE_GENERATORS.map(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      return option;
+    }));
+  }
+  for (const input of themeSettingInputs) {
+    const limits = SETTING_LIMITS[input.dataset.setting];
+    if (!limits) continue;
+    input.min = String(limits.min);
+    input.max = String(limits.max);
+    input.step = String(limits.step);
+  }
+
+  function setThemeError(text) {
+    if (themeError) themeError.textContent = text;
+  }
+
+  function redrawThemeFace(faceKey) {
+    if (faceImages[faceKey]) return;
+    drawFaceArt(faceKey);
+  }
+
+  // Shader faces follow every edit at once; the static art (kept for when animation is off)
+  // is redrawn once the user pauses
+  function updateAnimatedFace(faceKey) {
+    if (animateFaces) refreshFaceMaterials(faceKey);
+  }
+
+  function renderThemeEditor() {
+    const settings = theme[themeFace];
+    if (themeFaces) {
+      themeFaces.replaceChildren(...FACE_KEYS.map(faceKey => {
+        const btn = document.createElement('button');
+        btn.textContent = faceKey;
+        btn.title = faceImages[faceKey] ? `Face ${faceKey} (shows its custom image)` : `Face ${faceKey}`;
+        btn.classList.toggle('active', faceKey === themeFace);
+        btn.addEventListener('click', () => {
+          themeFace = faceKey;
+          renderThemeEditor();
+        });
+        return btn;
+      }));
+    }
+    if (themeType) themeType.value = settings.type;
+    for (const input of themeSettingInputs) {
+      input.value = String(settings[input.dataset.setting]);
+      const output = input.parentElement?.querySelector('output');
+      if (output) output.textContent = input.value;
+    }
+    if (themeJulia) themeJulia.hidden = settings.type !== 'julia2';
+    if (themeSeed && document.activeElement !== themeSeed) themeSeed.value = settings.seed;
+    if (themeCode && document.activeElement !== themeCode) themeCode.value = encodeTheme(theme);
+  }
+
+  // Edits redraw the face once the user pauses; the theme is saved when an edit is finished
+  function editThemeFace(changes, commit) {
+    theme[themeFace] = normalizeFaceSettings({ ...theme[themeFace], ...changes }, theme[themeFace]);
+    setThemeError('');
+    renderThemeEditor();
+    const faceKey = themeFace;
+    updateAnimatedFace(faceKey);
+    clearTimeout(themeRedrawTimer);
+    themeRedrawTimer = setTimeout(() => redrawThemeFace(faceKey), commit ? 0 : 150);
+    if (commit) saveTheme(theme);
+  }
+
+  // Shows `next` on every face for this page; applyTheme also makes it the saved theme
+  function showTheme(next) {
+    clearTimeout(themeRedrawTimer);
+    theme = next;
+    setThemeError('');
+    for (const faceKey of FACE_KEYS) {
+      updateAnimatedFace(faceKey);
+      redrawThemeFace(faceKey);
+    }
+    if (themeCode) themeCode.value = encodeTheme(theme);
+    renderThemeEditor();
+  }
+
+  function applyTheme(next) {
+    showTheme(next);
+    saveTheme(theme);
+  }
+
+  themeType?.addEventListener('change', () => editThemeFace({ type: themeType.value }, true), { signal });
+  for (const input of themeSettingInputs) {
+    input.addEventListener('input', () => editThemeFace({ [input.dataset.setting]: Number(input.value) }, false), { signal });
+    input.addEventListener('change', () => editThemeFace({ [input.dataset.setting]: Number(input.value) }, true), { signal });
+  }
+  themeSeed?.addEventListener('change', () => {
+    if (themeSeed.value.trim()) editThemeFace({ seed: themeSeed.value.trim() }, true);
+    else themeSeed.value = theme[themeFace].seed;
+  }, { signal });
+
+  function applyThemeCode() {
+    try {
+      applyTheme(decodeTheme(themeCode.value));
+    } catch (e) {
+      if (!(e instanceof ThemeError)) throw e;
+      setThemeError(e.message);
+    }
+  }
+  themeApply?.addEventListener('click', applyThemeCode, { signal });
+  themeCode?.addEventListener('keydown', e => {
+    if (e.key === 'Enter') applyThemeCode();
+  }, { signal });
+  themeCopy?.addEventListener('click', async () => {
+    const code = encodeTheme(theme);
+    themeCode.value = code;
+    try {
+      await navigator.clipboard.writeText(code);
+      setThemeError('');
+    } catch {
+      themeCode.select(); // clipboard blocked: leave it selected for Ctrl+C
+    }
+  }, { signal });
+  themeRandom?.addEventListener('click', () => applyTheme(themeFromSeed(randomSeed())), { signal });
+  if (themeAnimate) themeAnimate.checked = animateFaces;
+  themeAnimate?.addEventListener('change', () => {
+    animateFaces = themeAnimate.checked;
+    saveAnimateFaces(animateFaces);
+    for (const faceKey of FACE_KEYS) refreshFaceMaterials(faceKey);
+  }, { signal });
+  themeDefault?.addEventListener('click', () => applyTheme(cloneTheme(DEFAULT_THEME)), { signal });
+  renderThemeEditor();
+
+  // Share links: Share copies a link to the position on screen, with the scramble shown, the
+  // loaded algorithm as solution and the theme; opening one (or pasting one into this tab)
+  // rebuilds that cube
+  const btnShare = byId('btn-share');
+  const linkBanner = byId('link-banner');
+  const linkBannerText = byId('link-banner-text');
+  const linkBannerKeep = byId('link-banner-keep');
+  const linkBannerClose = byId('link-banner-close');
+
+  function showLinkError(message) {
+    if (!linkBanner) return;
+    linkBanner.classList.remove('info');
+    linkBannerKeep.hidden = true;
+    linkBannerText.textContent = message ? `This link cannot be opened: ${message}` : '';
+    linkBanner.hidden = !message;
+  }
+
+  // A link's theme is shown on this page only; the saved theme stays unless the user keeps it
+  function offerLinkTheme() {
+    if (!linkBanner) return;
+    linkBanner.classList.add('info');
+    linkBannerKeep.hidden = false;
+    linkBannerText.textContent = 'This link came with its own theme. Keep it, or your saved theme comes back on reload.';
+    linkBanner.hidden = false;
+  }
+
+  // The parts of a link besides the position itself
+  function applyLinkExtras(link) {
+    if (sizeSelect) sizeSelect.value = String(cubeSize);
+    updateSizeUI();
+    lastScramble = null;
+    if (scrambleText) {
+      scrambleText.textContent = link.scramble;
+      scrambleText.title = '';
+    }
+    // Assemble on big cubes undoes turnLog, so it gets the scramble if that is what led here
+    if (cubeSize !== 3 && link.scramble) {
+      const moves = parseMoves(link.scramble, cubeSize);
+      if (equals(applyMoves(createSolvedState(cubeSize), moves), cubeState)) {
+        turnLog.push(...moves);
+        turnLogComplete = true;
+      }
+    }
+    updateAssembleUI();
+    if (algInput) algInput.value = link.solution;
+    if (link.solution) loadAlgorithm();
+    if (link.theme) {
+      showTheme(link.theme);
+      offerLinkTheme();
+    }
+    // Done with the link: reloading the page should not undo the turns made after it
+    history.replaceState(null, '', location.pathname + location.search);
+  }
+
+  async function openShareLink() {
+    let link;
+    try {
+      link = decodeShareHash(location.hash);
+    } catch (e) {
+      if (!(e instanceof ShareError)) throw e;
+      showLinkError(e.message);
+      return;
+    }
+    if (!link) return;
+    showLinkError('');
+    controls.enabled = false;
+    stopAlgorithmPlayer();
+    turnQueue.cancel();
+    await turnQueue.idle();
+    setMode('idle');
+    cubeSize = link.size;
+    buildCube(link.state);
+    fitCameraToObject(cubeRoot, camera, controls, 2.0);
+    clearHistory();
+    setupCount = 0; setupSequence.length = 0; updateSetupUI();
+    applyLinkExtras(link);
+    renderSession();
+    updateTimerUI();
+    updateProgressUI();
     controls.enabled = true;
+  }
+
+  if (app) window.addEventListener('hashchange', openShareLink, { signal });
+  linkBannerClose?.addEventListener('click', () => showLinkError(''), { signal });
+  linkBannerKeep?.addEventListener('click', () => {
+    saveTheme(theme);
+    showLinkError('');
+  }, { signal });
+  showLinkError(openedLinkError);
+  if (openedLink) applyLinkExtras(openedLink);
+
+  btnShare?.addEventListener('click', async () => {
+    await turnQueue.idle();
+    const hash = encodeShareHash({
+      state: cubeState,
+      scramble: scrambleText?.textContent || '',
+      solution: player.moves.length ? formatMoves(player.moves, cubeSize) : '',
+      theme: encodeTheme(theme) === encodeTheme(DEFAULT_THEME) ? '' : encodeTheme(theme)
+    });
+    const url = `${location.origin}${location.pathname}${location.search}${hash}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      btnShare.textContent = 'Link copied';
+    } catch {
+      // Clipboard blocked: the link goes into the address bar to copy from there
+      history.replaceState(null, '', hash);
+      btnShare.textContent = 'Link in address bar';
+    }
+    setTimeout(() => { btnShare.textContent = 'Share'; }, 1500);
+  }, { signal });
+
+  // Timed solve: Timed scrambles, then 15 s of WCA inspection; the first turn starts the clock
+  // and solving the cube stops it. Whole-cube rotations during inspection do not start it.
+  const btnTimed = byId('btn-timed');
+  const timerPanel = byId('timer-panel');
+  const timerValue = byId('timer-value');
+  const timerInfo = byId('timer-info');
+  const timerStats = byId('timer-stats');
+  const timerList = byId('timer-list');
+  const timerClear = byId('timer-clear');
+
+  const sessionResults = loadSession(); // every size; the panel shows those of cubeSize
+  // phase: 'scrambling' | 'inspection' | 'running' | 'done'
+  // startCube and log ({ move, at } per turn from inspection on) become the reconstruction
+  const timedSolve = { phase: 'done', inspectionStart: 0, start: 0, moves: 0, penalty: null, frame: 0, startCube: '', log: [] };
+
+  function isRotation(move) {
+    return (move.layers || [0]).length === cubeSize;
+  }
+
+  async function startTimedSolve() {
+    setMode('solve');
+    timedSolve.phase = 'scrambling';
+    updateTimerUI();
+    await scrambleCube();
+    if (mode !== 'solve' || timedSolve.phase !== 'scrambling') return; // aborted meanwhile
+    clearHistory();
+    timedSolve.phase = 'inspection';
+    timedSolve.inspectionStart = performance.now();
+    timedSolve.startCube = encodeCubeState(cubeState);
+    timedSolve.log = [];
+    tickTimer();
+  }
+
+  function finishTimedSolve(result) {
+    timedSolve.phase = 'done';
+    lifecycle.cancelFrame(timedSolve.frame);
+    sessionResults.push(result);
+    saveSession(sessionResults);
+    renderSession();
+    updateTimerUI();
+  }
+
+  // Leaving solve mode abandons an attempt in progress without recording it
+  function endTimedSolve() {
+    timedSolve.phase = 'done';
+    lifecycle.cancelFrame(timedSolve.frame);
+  }
+
+  function onTimedTurnStart(move) {
+    const now = performance.now();
+    if (timedSolve.phase === 'inspection' || timedSolve.phase === 'running') timedSolve.log.push({ move, at: now });
+    if (isRotation(move)) return;
+    if (timedSolve.phase === 'inspection') {
+      timedSolve.penalty = inspectionPenalty(now - timedSolve.inspectionStart);
+      timedSolve.phase = 'running';
+      timedSolve.start = now;
+      timedSolve.moves = 0;
+    }
+    if (timedSolve.phase === 'running') timedSolve.moves += 1;
+  }
+
+  function onTimedTurnEnd() {
+    if (timedSolve.phase !== 'running' || !isSolved(cubeState)) return;
+    finishTimedSolve({
+      size: cubeSize,
+      time: Math.round(performance.now() - timedSolve.start),
+      moves: timedSolve.moves,
+      penalty: timedSolve.penalty,
+      date: Date.now(),
+      scramble: lastScramble?.text,
+      reconstruction: {
+        cube: timedSolve.startCube,
+        moves: formatMoves(timedSolve.log.map(t => t.move), cubeSize),
+        times: timedSolve.log.map(t => Math.max(0, Math.round(t.at - timedSolve.start)))
+      }
+    });
+  }
+
+  function tickTimer() {
+    if (timedSolve.phase === 'inspection' && isInspectionOver(performance.now() - timedSolve.inspectionStart)) {
+      finishTimedSolve({ size: cubeSize, time: 0, moves: 0, penalty: 'DNF', date: Date.now(), scramble: lastScramble?.text });
+      return;
+    }
+    updateTimerUI();
+    if (timedSolve.phase === 'inspection' || timedSolve.phase === 'running') {
+      timedSolve.frame = lifecycle.frame(tickTimer);
+    }
+  }
+
+  updateTimerUI = function updateTimerUIImpl() {
+    if (btnTimed) btnTimed.textContent = mode === 'solve' && timedSolve.phase !== 'done' ? 'Abort' : 'Timed';
+    if (!timerPanel) return;
+    timerPanel.hidden = mode !== 'solve';
+    const now = performance.now();
+    const results = resultsForSize(sessionResults, cubeSize);
+    const last = results[results.length - 1];
+    if (timedSolve.phase === 'scrambling') {
+      timerValue.textContent = '…';
+      timerInfo.textContent = 'Scrambling';
+    } else if (timedSolve.phase === 'inspection') {
+      const left = INSPECTION_MS - (now - timedSolve.inspectionStart);
+      timerValue.textContent = left > 0 ? String(Math.ceil(left / 1000)) : '+2';
+      timerInfo.textContent = 'Inspection: the first turn starts the timer';
+    } else if (timedSolve.phase === 'running') {
+      timerValue.textContent = formatTime(now - timedSolve.start);
+      timerInfo.textContent = `${timedSolve.moves} moves`;
+    } else if (last) {
+      const tps = turnsPerSecond(last);
+      timerValue.textContent = formatResult(last);
+      timerInfo.textContent = tps === null ? 'Press Timed for the next solve' : `${last.moves} moves, ${tps.toFixed(2)} TPS`;
+    } else {
+      timerValue.textContent = formatTime(0);
+      timerInfo.textContent = 'Press Timed to start';
+    }
+  };
+
+  function renderSession() {
+    if (!timerStats) return;
+    const results = resultsForSize(sessionResults, cubeSize);
+    const ao5 = averageOf(results, 5);
+    const ao12 = averageOf(results, 12);
+    timerStats.textContent = `${cubeSize}×${cubeSize}: best ${formatTime(bestTime(results))} · ao5 ${formatTime(ao5)} · ao12 ${formatTime(ao12)} · ${results.length} solve${results.length === 1 ? '' : 's'}`;
+    timerList.replaceChildren(...results.slice(-12).reverse().map(r => {
+      const li = document.createElement('li');
+      const tps = turnsPerSecond(r);
+      li.textContent = formatResult(r);
+      const details = tps === null ? new Date(r.date).toLocaleString() : `${r.moves} moves, ${tps.toFixed(2)} TPS`;
+      li.title = r.scramble ? `${details}\n${r.scramble}` : details;
+      if (r.reconstruction) {
+        li.classList.add('replayable');
+        li.title += '\nClick to replay this solve';
+        li.addEventListener('click', () => openReplay(r));
+      }
+      return li;
+    }));
+  }
+
+  btnTimed?.addEventListener('click', () => {
+    if (mode === 'solve' && timedSolve.phase !== 'done') {
+      setMode('idle');
+      return;
+    }
+    if (turnQueue.busy) return;
+    startTimedSolve();
+  }, { signal });
+
+  timerClear?.addEventListener('click', () => {
+    const others = sessionResults.filter(r => r.size !== cubeSize);
+    sessionResults.splice(0, sessionResults.length, ...others);
+    saveSession(sessionResults);
+    renderSession();
+    updateTimerUI();
+  }, { signal });
+
+  // Reconstruction viewer: replays a solve of the session (reconstruction.js) on the cube, at the
+  // pace it was solved (1×) or slower or faster, with its steps on a timeline. It takes the place
+  // of the algorithm player while open.
+  const algPanel = byId('alg-panel');
+  const replayPanel = byId('replay-panel');
+  const replayTitle = byId('replay-title');
+  const replayClose = byId('replay-close');
+  const replayTimeline = byId('replay-timeline');
+  const replaySeek = byId('replay-seek');
+  const replayBack = byId('replay-back');
+  const replayPlay = byId('replay-play');
+  const replayNext = byId('replay-next');
+  const replayClock = byId('replay-clock');
+  const replaySpeed = byId('replay-speed');
+  const replayExport = byId('replay-export');
+  const replaySteps = byId('replay-steps');
+  const replayMoves = byId('replay-moves');
+  const replayText = byId('replay-text');
+
+  // Like the algorithm player's: index: turns replayed so far; target: where it is heading;
+  // playing: at the solver's pace (Play) rather than stepping or scrubbing; waiting: for the
+  // next turn's moment; session: bumped on close
+  const replay = {
+    result: null, recording: null, steps: [], index: 0, target: 0,
+    running: false, playing: false, waiting: false, scrubbing: false, session: 0
+  };
+
+  // ms into the solve once `index` turns are replayed
+  function replayTime(index = replay.index) {
+    return index > 0 ? replay.recording.times[index - 1] : 0;
+  }
+
+  // The step the next turn belongs to (the last one once the replay is at the end)
+  function currentStep() {
+    return replay.steps.find(step => replay.index < step.to) || replay.steps[replay.steps.length - 1];
+  }
+
+  function updateReplayUI() {
+    if (!replayPanel || !replay.recording) return;
+    const n = replay.recording.moves.length;
+    replaySeek.value = String(replayTime(replay.target));
+    replayClock.textContent = `${formatTime(replayTime())} / ${formatTime(replayTime(n))}`;
+    const playing = replay.running && replay.playing;
+    replayPlay.textContent = playing ? 'Pause' : 'Play';
+    replayPlay.disabled = replay.index === n && !playing;
+    replayBack.disabled = replay.index === 0;
+    replayNext.disabled = replay.index === n;
+    const current = currentStep();
+    replay.steps.forEach((step, i) => {
+      replayTimeline.children[i].classList.toggle('current', step === current);
+      replaySteps.rows[i].classList.toggle('current', step === current);
+    });
+    replayMoves.querySelectorAll('span[data-index]').forEach(el => {
+      const i = Number(el.dataset.index);
+      el.classList.toggle('done', i < replay.index);
+      el.classList.toggle('next', i === replay.index);
+    });
+  }
+
+  function renderReplay() {
+    const { result, recording, steps } = replay;
+    const tps = turnsPerSecond(result);
+    replayTitle.textContent = `${formatResult(result)} · ${result.moves} moves${tps === null ? '' : ` · ${tps.toFixed(2)} TPS`}`;
+    const total = replayTime(recording.moves.length);
+    replaySeek.max = String(total);
+    replayTimeline.replaceChildren(...steps.map(step => {
+      const el = document.createElement('span');
+      el.style.flexGrow = String(Math.max(step.time, total / 100)); // skips stay visible
+      el.title = `${step.name}: ${step.to === step.from ? 'skip' : `${step.turns} moves, ${formatTime(step.time)} s`}`;
+      el.addEventListener('click', () => seekReplay(step.from, { scrubbing: true }));
+      return el;
+    }));
+    replaySteps.replaceChildren(...steps.map(step => {
+      const row = document.createElement('tr');
+      const skipped = step.to === step.from;
+      for (const text of [step.name, skipped ? 'skip' : String(step.turns), skipped ? '' : formatTime(step.time), step.tps === null ? '' : step.tps.toFixed(2)]) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.append(cell);
+      }
+      row.title = `Jump to the start of ${step.name}`;
+      row.addEventListener('click', () => seekReplay(step.from, { scrubbing: true }));
+      return row;
+    }));
+    replayMoves.replaceChildren(...steps.flatMap(step => [
+      Object.assign(document.createElement('span'), { className: 'step', textContent: `${step.name}:` }),
+      ...recording.moves.slice(step.from, step.to).map((m, i) => {
+        const el = document.createElement('span');
+        el.dataset.index = String(step.from + i);
+        el.textContent = formatMove(m, recording.size);
+        el.title = `${formatTime(recording.times[step.from + i])} s: jump here`;
+        el.addEventListener('click', () => seekReplay(step.from + i + 1, { scrubbing: true }));
+        return el;
+      })
+    ]));
+    replayText.hidden = true;
+    updateReplayUI();
+  }
+
+  async function runReplay() {
+    if (replay.running) return;
+    replay.running = true;
+    const session = replay.session;
+    const { moves, times } = replay.recording;
+    let lastTurnAt = performance.now();
+    updateReplayUI();
+    while (replay.index !== replay.target) {
+      const forward = replay.target > replay.index;
+      const m = forward ? moves[replay.index] : moves[replay.index - 1];
+      const turn = forward ? m : { ...m, cw: !m.cw };
+      let speed = replay.scrubbing && Math.abs(replay.target - replay.index) > 1 ? 3 : 1;
+      if (replay.playing && forward) {
+        // Wait as long as the solver did before this turn, and finish it before the next one
+        const pace = Number(replaySpeed.value) || 1;
+        const wait = (times[replay.index] - replayTime()) / pace - (performance.now() - lastTurnAt);
+        if (wait > 0) {
+          replay.waiting = true;
+          // eslint-disable-next-line no-await-in-loop
+          await new Promise(resolve => setTimeout(resolve, wait));
+          replay.waiting = false;
+          if (session !== replay.session) break;
+          continue; // paused or moved meanwhile: look again
+        }
+        const gap = replay.index + 1 < moves.length ? (times[replay.index + 1] - times[replay.index]) / pace : Infinity;
+        speed = Math.min(8, Math.max(1, (QUARTER_TURN_MS * m.quarters) / gap));
+        lastTurnAt = performance.now();
+      }
+      // eslint-disable-next-line no-await-in-loop
+      const done = await animateTurn({ ...turn, record: false, speed, catchUp: false });
+      if (session !== replay.session) break;
+      if (!done) {
+        replay.target = replay.index;
+        break;
+      }
+      replay.index += forward ? 1 : -1;
+      updateReplayUI();
+    }
+    if (session === replay.session) {
+      replay.running = false;
+      replay.playing = false;
+      updateReplayUI();
+    }
+  }
+
+  function seekReplay(target, { scrubbing = false, playing = false } = {}) {
+    replay.target = Math.max(0, Math.min(replay.recording.moves.length, target));
+    replay.scrubbing = scrubbing;
+    replay.playing = playing;
+    runReplay();
+  }
+
+  // Sets the cube to the position the solve started from, at its size, and opens the viewer
+  async function openReplay(result) {
+    if (!replayPanel || turnQueue.busy) return;
+    if (mode === 'solve' && timedSolve.phase !== 'done') return; // not during an attempt
+    let recording;
+    try {
+      recording = readRecording(result.reconstruction);
+    } catch (e) {
+      console.warn('Reconstruction could not be read:', e);
+      return;
+    }
+    if (recording.size !== cubeSize) await changeSize(recording.size);
+    else await resetCube();
+    buildCube(clone(recording.state));
+    updateAssembleUI();
+    Object.assign(replay, { result, recording, steps: analyzeSolve(recording), index: 0, target: 0 });
+    renderReplay();
+    replayPanel.hidden = false;
+    if (algPanel) algPanel.hidden = true;
+  }
+
+  function closeReplay() {
+    if (!replay.recording) return;
+    replay.session += 1;
+    replay.running = replay.playing = false;
+    replay.recording = replay.result = null;
+    replayPanel.hidden = true;
+    if (algPanel) algPanel.hidden = false;
+  }
+  lifecycle.onDispose(closeReplay);
+
+  if (replayPanel) {
+    replayClose.addEventListener('click', closeReplay, { signal });
+    replayPlay.addEventListener('click', () => {
+      if (replay.running && replay.playing) {
+        // Pause now while waiting for the next turn, otherwise after the turn on screen
+        replay.target = replay.waiting ? replay.index : Math.min(replay.recording.moves.length, replay.index + 1);
+        replay.playing = false;
+        updateReplayUI();
+        return;
+      }
+      seekReplay(replay.recording.moves.length, { playing: true });
+    }, { signal });
+    replayBack.addEventListener('click', () => seekReplay(replay.target - 1), { signal });
+    replayNext.addEventListener('click', () => seekReplay(replay.target + 1), { signal });
+    replaySeek.addEventListener('input', () => {
+      const ms = Number(replaySeek.value);
+      seekReplay(replay.recording.times.filter(t => t <= ms).length, { scrubbing: true });
+    }, { signal });
+    replayExport.addEventListener('click', async () => {
+      const text = reconstructionText(replay.result);
+      replayText.value = text;
+      try {
+        await navigator.clipboard.writeText(text);
+        replayExport.textContent = 'Copied';
+        setTimeout(() => { replayExport.textContent = 'Export'; }, 1500);
+      } catch {
+        // Clipboard blocked: show the text selected for Ctrl+C
+        replayText.hidden = false;
+        replayText.select();
+      }
+    }, { signal });
+  }
+
+  // Tutorial and hints (tutorial.js), 3x3 only. Tutorial mode walks through the beginner's
+  // method stage by stage; Hint in Play mode shows the next step once. The pieces the step is
+  // about get an outline and the next turn an arrow on its face. Turns that follow the
+  // suggestion move it on; any other turn asks for a fresh one in the tutorial and ends a hint.
+  const tutorialPanel = byId('tutorial-panel');
+  const tutorialTitle = byId('tutorial-title');
+  const tutorialClose = byId('tutorial-close');
+  const tutorialStages = byId('tutorial-stages');
+  const tutorialText = byId('tutorial-text');
+  const tutorialMoves = byId('tutorial-moves');
+  const tutorialNext = byId('tutorial-next');
+  // hint: from nextHint; index: turns of it done; next: the turn expected now (what is left of
+  // a half turn after one quarter of it); note: the stage just checked and passed
+  let guide = null;
+  let guideScheduled = false;
+
+  // Outlines ride on the cubelets as children; the arrow sits in the scene over the face
+  const outlineGeom = lifecycle.track(new THREE.BoxGeometry(1.1, 1.1, 1.1));
+  const outlineMat = lifecycle.track(new THREE.MeshBasicMaterial({ color: 0xffe14d, side: THREE.BackSide, transparent: true, opacity: 0.7 }));
+  const arrowMat = lifecycle.track(new THREE.MeshBasicMaterial({ color: 0xffe14d, side: THREE.DoubleSide }));
+  const arrowHeadGeom = lifecycle.track(new THREE.ConeGeometry(0.14, 0.34, 16));
+  const arrowArcGeoms = new Map(); // quarters -> arc
+  const outlines = [];
+  const guideArrow = new THREE.Group();
+  scene.add(guideArrow);
+
+  function arrowArc(quarters) {
+    if (!arrowArcGeoms.has(quarters)) {
+      const arc = quarters === 2 ? Math.PI * 1.2 : Math.PI * 0.55;
+      arrowArcGeoms.set(quarters, lifecycle.track(new THREE.TorusGeometry(1.05, 0.05, 8, 48, arc)));
+    }
+    return arrowArcGeoms.get(quarters);
+  }
+
+  // A curved arrow just outside the turning layer, pointing the way it turns (seen from
+  // outside, counter-clockwise unless mirrored)
+  function showArrow(move) {
+    guideArrow.clear();
+    if (!move) return;
+    const quarters = move.quarters === 2 ? 2 : 1;
+    const arc = arrowArc(quarters);
+    const end = arc.parameters.arc;
+    const radius = arc.parameters.radius;
+    const tangent = new THREE.Vector3(-Math.sin(end), Math.cos(end), 0);
+    const head = new THREE.Mesh(arrowHeadGeom, arrowMat);
+    head.position.set(radius * Math.cos(end), radius * Math.sin(end), 0).addScaledVector(tangent, 0.17);
+    head.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), tangent);
+    const arrow = new THREE.Group();
+    arrow.add(new THREE.Mesh(arc, arrowMat), head);
+    const normal = vectorForAxis(move.axis, move.sign);
+    const coords = layerCoordinates(move, cubeSize);
+    const outer = Math.max(...coords.map(c => c * move.sign)) + 0.58;
+    arrow.position.copy(normal).multiplyScalar(outer);
+    arrow.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+    if (move.cw) arrow.scale.y = -1;
+    guideArrow.add(arrow);
+  }
+
+  function showOutlines(pieces) {
+    for (const o of outlines.splice(0)) o.removeFromParent();
+    for (const home of pieces) {
+      const mesh = cubeletsByHome.get(home.join(','));
+      if (!mesh) continue;
+      const outline = new THREE.Mesh(outlineGeom, outlineMat);
+      mesh.add(outline);
+      outlines.push(outline);
+    }
+  }
+
+  // A turn as the layer coordinates it moves and its counter-clockwise quarters around the
+  // +axis, so the same turn written from the opposite face compares equal
+  function turnAmount(move) {
+    return (((move.cw ? -1 : 1) * move.sign * (move.quarters || 1)) % 4 + 4) % 4;
+  }
+
+  function sameLayers(a, b) {
+    const key = m => layerCoordinates(m, cubeSize).sort().join();
+    return a.axis === b.axis && key(a) === key(b);
+  }
+
+  function renderGuide() {
+    if (btnTutorial) btnTutorial.textContent = mode === 'tutorial' ? 'End tutorial' : 'Tutorial';
+    if (btnHint) btnHint.hidden = mode !== 'play';
+    showOutlines(guide ? guide.hint.pieces : []);
+    showArrow(guide?.next);
+    requestRender();
+    if (!tutorialPanel) return;
+    tutorialPanel.hidden = !guide;
+    if (!guide) return;
+    const { hint, index, note } = guide;
+    tutorialTitle.textContent = mode === 'tutorial' ? hint.step : `Hint: ${hint.step}`;
+    tutorialClose.title = mode === 'tutorial' ? 'End the tutorial' : 'Hide the hint';
+    tutorialStages.replaceChildren(...hint.stages.map(({ name, done }, k) => {
+      const li = document.createElement('li');
+      li.textContent = name;
+      li.className = done ? 'done' : k === hint.stage ? 'current' : '';
+      return li;
+    }));
+    tutorialText.textContent = note ? `${note} ${hint.text}` : hint.text;
+    tutorialMoves.title = hintNotation(hint);
+    tutorialMoves.replaceChildren(...hint.moves.map((m, i) => {
+      const span = document.createElement('span');
+      span.textContent = formatMove(m, cubeSize);
+      span.className = i < index ? 'done' : i === index ? 'next' : '';
+      return span;
+    }));
+    tutorialNext.disabled = !guide.next;
+  }
+
+  // A fresh suggestion for the cube as it is; says so when a stage has just been passed
+  function showGuide() {
+    const before = guide?.hint.stage;
+    const hint = cubeSize === 3 ? nextHint(cubeState) : null;
+    let note = '';
+    if (hint && before !== undefined && hint.stage > before) {
+      note = `✓ ${TUTORIAL_STAGES[hint.stage - 1]} checked.`;
+      if (hint.stage < TUTORIAL_STAGES.length) note += ` On to the ${TUTORIAL_STAGES[hint.stage].toLowerCase()}.`;
+    }
+    guide = hint && { hint, index: 0, next: hint.moves[0] || null, note };
+    renderGuide();
+  }
+
+  function clearGuide() {
+    guide = null;
+    renderGuide();
+  }
+
+  // The cube changed other than by a turn: a fresh suggestion in the tutorial, no hint in Play
+  function refreshGuide() {
+    if (mode === 'tutorial') showGuide();
+    else clearGuide();
+  }
+
+  // The new suggestion waits until queued turns (a scramble, say) have played
+  function scheduleGuide() {
+    if (guideScheduled) return;
+    guideScheduled = true;
+    turnQueue.idle().then(() => {
+      guideScheduled = false;
+      if (!lifecycle.disposed) refreshGuide();
+    });
+  }
+
+  // Called with every turn the cube makes
+  function followGuide(move) {
+    const expected = guide.next;
+    if (expected && sameLayers(expected, move)) {
+      const left = (turnAmount(expected) - turnAmount(move) + 4) % 4;
+      if (left === 0) {
+        guide.index += 1;
+        guide.next = guide.hint.moves[guide.index] || null;
+      } else {
+        const ccw = left === 1 ? 1 : -1;
+        guide.next = { ...expected, cw: left === 2 || ccw * expected.sign < 0, quarters: left === 2 ? 2 : 1 };
+      }
+      guide.note = '';
+      if (guide.next) renderGuide();
+      else if (mode === 'tutorial') scheduleGuide(); // done: the stage check comes with the next step
+      else clearGuide();
+      return;
+    }
+    if (mode === 'tutorial') scheduleGuide();
+    else clearGuide();
+  }
+
+  if (tutorialPanel) {
+    tutorialClose.addEventListener('click', () => {
+      if (mode === 'tutorial') setMode('idle');
+      else clearGuide();
+    }, { signal });
+    tutorialNext.addEventListener('click', () => {
+      if (guide?.next && !turnQueue.busy) animateTurn({ ...guide.next });
+    }, { signal });
+  }
+  btnTutorial?.addEventListener('click', () => {
+    if (turnQueue.busy) return;
+    setMode(mode === 'tutorial' ? 'idle' : 'tutorial');
+  }, { signal });
+  btnHint?.addEventListener('click', () => {
+    if (turnQueue.busy || cubeSize !== 3) return;
+    showGuide();
+  }, { signal });
+
+  // Mode toggles; every mode change goes through setMode so leaving a mode can clean up
+  function setMode(next) {
+    if (mode === next) return;
+    if (mode === 'solve') endTimedSolve();
+    if (mode === 'setup') offerToSavePattern();
+    const previous = mode;
+    mode = next;
+    if (btnSetup) btnSetup.textContent = mode === 'setup' ? 'Stop' : 'Start';
+    updateSetupUI();
     updateProgressUI();
-  });
+    updateTimerUI();
+    refreshGuide();
+    scheduleAutosave();
+    emit('modechange', { mode, previous });
+  }
 
-  // Mode toggles
   if (btnSetup) {
     btnSetup.addEventListener('click', () => {
-      if (isTurning) return;
+      if (turnQueue.busy) return;
       if (mode !== 'setup') {
-        mode = 'setup';
-        btnSetup.textContent = 'Stop';
-        setupCount = 0; setupSequence.length = 0; moveHistory.length = 0;
-        updateSetupUI();
+        setupCount = 0; setupSequence.length = 0; clearHistory();
+        setMode('setup');
       } else {
-        mode = 'idle';
-        btnSetup.textContent = 'Start';
-        updateSetupUI();
+        setMode('idle');
       }
-    });
+    }, { signal });
   }
 
   if (btnPlay) {
     btnPlay.addEventListener('click', () => {
-      if (isTurning) return;
-      mode = 'play';
-      updateProgressUI();
+      if (turnQueue.busy) return;
+      setMode('play');
+    }, { signal });
+  }
+
+  // Patterns: Setup records a pattern; stopping it asks for a name and saves it to the library
+  // (patterns.js). The Patterns panel applies a pattern to a solved cube, plays it in reverse
+  // on the cube as it is (after Apply that leads back to solved) or copies its notation.
+  const patternPrompt = byId('pattern-prompt');
+  const patternName = byId('pattern-name');
+  const patternSave = byId('pattern-save');
+  const patternDiscard = byId('pattern-discard');
+  const patternPromptError = byId('pattern-prompt-error');
+  const patternList = byId('pattern-list');
+  const patternNotation = byId('pattern-notation');
+  const patternApply = byId('pattern-apply');
+  const patternReverse = byId('pattern-reverse');
+  const patternExport = byId('pattern-export');
+  const patternDelete = byId('pattern-delete');
+  const patternStatus = byId('pattern-status');
+  let customPatterns = loadCustomPatterns();
+  let pendingPattern = null; // { size, moves } waiting for a name
+
+  function allPatterns() {
+    return [...BUILTIN_PATTERNS, ...customPatterns];
+  }
+
+  function selectedPattern() {
+    return allPatterns()[Number(patternList?.value)] || null;
+  }
+
+  function setPatternStatus(text) {
+    if (patternStatus) patternStatus.textContent = text;
+  }
+
+  function renderPatternList(selectName) {
+    if (!patternList) return;
+    const previous = selectName ?? selectedPattern()?.name;
+    const option = (p, i) => {
+      const el = document.createElement('option');
+      el.value = String(i);
+      el.textContent = p.size === 3 ? p.name : `${p.name} (${p.size}×${p.size})`;
+      return el;
+    };
+    const builtin = document.createElement('optgroup');
+    builtin.label = 'Built-in';
+    const custom = document.createElement('optgroup');
+    custom.label = 'Recorded';
+    allPatterns().forEach((p, i) => (isBuiltinPattern(p) ? builtin : custom).append(option(p, i)));
+    patternList.replaceChildren(builtin, ...(customPatterns.length ? [custom] : []));
+    const index = allPatterns().findIndex(p => p.name === previous);
+    patternList.value = String(Math.max(0, index));
+    updatePatternUI();
+  }
+
+  function updatePatternUI() {
+    const pattern = selectedPattern();
+    if (patternNotation) patternNotation.value = pattern?.moves || '';
+    if (patternDelete) patternDelete.disabled = !pattern || isBuiltinPattern(pattern);
+  }
+
+  // Called when a recording ends; an empty one is dropped without asking
+  function offerToSavePattern() {
+    if (!patternPrompt || setupSequence.length === 0) return;
+    let moves;
+    try {
+      moves = formatMoves(setupSequence, cubeSize);
+    } catch (e) {
+      console.warn('Setup sequence cannot be written as notation:', e);
+      return;
+    }
+    pendingPattern = { size: cubeSize, moves };
+    patternPromptError.textContent = '';
+    patternName.value = `Pattern ${customPatterns.length + 1}`;
+    patternPrompt.hidden = false;
+    patternName.focus();
+    patternName.select();
+  }
+
+  function closePatternPrompt() {
+    pendingPattern = null;
+    patternPrompt.hidden = true;
+  }
+
+  function savePendingPattern() {
+    if (!pendingPattern) return;
+    try {
+      customPatterns = addPattern(customPatterns, { name: patternName.value, ...pendingPattern });
+    } catch (e) {
+      if (!(e instanceof PatternError)) throw e;
+      patternPromptError.textContent = e.message;
+      patternName.focus();
+      return;
+    }
+    saveCustomPatterns(customPatterns);
+    renderPatternList(customPatterns[customPatterns.length - 1].name);
+    closePatternPrompt();
+  }
+
+  async function playPattern(moves) {
+    controls.enabled = false;
+    await Promise.all(moves.map(m => animateTurn(m)));
+    controls.enabled = true;
+  }
+
+  async function applyPattern() {
+    const pattern = selectedPattern();
+    if (!pattern || turnQueue.busy) return;
+    setPatternStatus('');
+    if (mode === 'setup' || mode === 'solve') setMode('idle');
+    if (pattern.size !== cubeSize) await changeSize(pattern.size);
+    else await resetCube();
+    await playPattern(patternMoves(pattern));
+  }
+
+  async function reversePattern() {
+    const pattern = selectedPattern();
+    if (!pattern || turnQueue.busy) return;
+    if (pattern.size !== cubeSize) {
+      setPatternStatus(`${pattern.name} is for the ${pattern.size}×${pattern.size} cube`);
+      return;
+    }
+    setPatternStatus('');
+    if (mode === 'solve') setMode('idle');
+    await playPattern(invertMoves(patternMoves(pattern)));
+  }
+
+  patternSave?.addEventListener('click', savePendingPattern, { signal });
+  patternDiscard?.addEventListener('click', closePatternPrompt, { signal });
+  patternName?.addEventListener('keydown', e => {
+    if (e.key === 'Enter') savePendingPattern();
+    else if (e.key === 'Escape') closePatternPrompt();
+  }, { signal });
+  patternList?.addEventListener('change', () => {
+    setPatternStatus('');
+    updatePatternUI();
+  }, { signal });
+  patternApply?.addEventListener('click', applyPattern, { signal });
+  patternReverse?.addEventListener('click', reversePattern, { signal });
+  patternExport?.addEventListener('click', async () => {
+    const pattern = selectedPattern();
+    if (!pattern) return;
+    try {
+      await navigator.clipboard.writeText(pattern.moves);
+      setPatternStatus(`Copied the moves of ${pattern.name}`);
+    } catch {
+      patternNotation.select(); // clipboard blocked: leave it selected for Ctrl+C
+    }
+  }, { signal });
+  patternDelete?.addEventListener('click', () => {
+    const pattern = selectedPattern();
+    if (!pattern || isBuiltinPattern(pattern)) return;
+    customPatterns = removePattern(customPatterns, pattern.name);
+    saveCustomPatterns(customPatterns);
+    setPatternStatus(`Deleted ${pattern.name}`);
+    renderPatternList(BUILTIN_PATTERNS[0].name);
+  }, { signal });
+  renderPatternList();
+
+  // Autosave: the session goes to localStorage once things settle after a turn, undo, mode
+  // change or camera move; never halfway through a turn, when history and cube disagree
+  const btnFresh = byId('btn-fresh');
+  let autosaveTimer = null;
+  lifecycle.onDispose(() => clearTimeout(autosaveTimer));
+
+  function autosaveNow() {
+    if (turnQueue.busy) return;
+    saveAutosave({
+      state: cubeState,
+      turnLog,
+      history: moveHistory,
+      redo: redoStack,
+      setup: setupSequence,
+      mode: mode === 'solve' ? 'idle' : mode, // a timed attempt does not survive a reload
+      scramble: scrambleText?.textContent || '',
+      camera: camera.position.toArray()
     });
   }
 
+  if (app) {
+    scheduleAutosave = function scheduleAutosaveImpl() {
+      clearTimeout(autosaveTimer);
+      autosaveTimer = setTimeout(async () => {
+        await turnQueue.idle();
+        autosaveNow();
+      }, 300);
+    };
+    controls.addEventListener('change', () => scheduleAutosave());
+    window.addEventListener('pagehide', autosaveNow, { signal });
+  }
+
+  if (restored) {
+    moveHistory.push(...restored.history);
+    redoStack.push(...restored.redo);
+    setupSequence.push(...restored.setup);
+    setupCount = setupSequence.length;
+    if (sizeSelect) sizeSelect.value = String(cubeSize);
+    if (scrambleText) scrambleText.textContent = restored.scramble;
+    setMode(restored.mode);
+  }
+
+  // Start fresh: forgets the saved session and starts over as on a first visit
+  btnFresh?.addEventListener('click', async () => {
+    clearAutosave();
+    setMode('idle');
+    cubeSize = 3;
+    if (sizeSelect) sizeSelect.value = '3';
+    await resetCube();
+    lastScramble = null;
+    if (scrambleText) scrambleText.textContent = '';
+    camera.position.set(4.5, 3.5, 5.5);
+    controls.target.set(0, 0, 0);
+    fitCameraToObject(cubeRoot, camera, controls, 2.0);
+    updateSizeUI();
+    renderSession();
+    updateTimerUI();
+  }, { signal });
+
   // Initial UI
+  updateSizeUI();
   updateSetupUI();
   updateProgressUI();
+  updateUndoUI();
+  updateTimerUI();
+  renderGuide();
+  renderSession();
+  loadFaces();
+
+  // First frame; from here on frames come from requestRender
+  requestRender();
+
+  // What the renderer holds on the GPU (renderer.info) next to what the cube has registered;
+  // numbers that keep growing over resets or theme changes point to a leak
+  function renderInfo() {
+    const { memory, render, programs } = renderer.info;
+    return {
+      geometries: memory.geometries,
+      textures: memory.textures,
+      programs: programs ? programs.length : 0,
+      calls: render.calls,
+      triangles: render.triangles,
+      drawn: renderScheduler.frames,
+      tracked: lifecycle.counts()
+    };
+  }
 
-  // Initial render loop
-  function animate() {
-    controls.update();
-    renderer.render(scene, camera);
-    requestAnimationFrame(animate);
+  // index.html?debug shows it in a corner of the page
+  const debugInfo = byId('debug-info');
+  if (debugInfo && new URLSearchParams(location.search).has('debug')) {
+    debugInfo.hidden = false;
+    const debugTimer = setInterval(() => {
+      const info = renderInfo();
+      const { textures, materials, geometries, frames } = info.tracked;
+      debugInfo.textContent = `GPU: ${info.geometries} geometries, ${info.textures} textures, ${info.programs} programs\n` +
+        `Frame: ${info.calls} draw calls, ${info.triangles} triangles, ${info.drawn} frames drawn\n` +
+        `Held: ${textures} textures, ${materials} materials, ${geometries} geometries, ${frames} queued frames`;
+    }, 1000);
+    lifecycle.onDispose(() => clearInterval(debugTimer));
+  }
+
+  // Embedding API. Turns go through turnQueue like the user's, so calls made while the cube
+  // is moving wait their turn; the promises resolve true once played, false if dropped.
+  // Moves are notation (parseMoves for this size) or move objects { axis, sign, cw, quarters, layers }.
+  function readMoves(moves) {
+    if (typeof moves === 'string') return parseMoves(moves, cubeSize);
+    return (Array.isArray(moves) ? moves : [moves]).map(({ axis, sign, cw, quarters = 1, layers }) => (layers ? { axis, sign, cw, quarters, layers } : { axis, sign, cw, quarters }));
+  }
+
+  function on(type, handler) {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(handler);
+    return () => off(type, handler);
   }
-  animate();
-})();
+
+  function off(type, handler) {
+    listeners.get(type)?.delete(handler);
+  }
+
+  return {
+    // One move; throws NotationError for bad notation or more than one move
+    turn(move) {
+      const moves = readMoves(move);
+      if (moves.length !== 1) throw new NotationError('turn() takes exactly one move', 0, String(move));
+      return animateTurn(moves[0]);
+    },
+    // A sequence; with animate: false it is applied at once (still after any queued turns)
+    applyAlgorithm(text, { animate = true } = {}) {
+      const moves = readMoves(text);
+      return Promise.all(moves.map(m => animateTurn(animate ? m : { ...m, instant: true }))).then(done => done.every(Boolean));
+    },
+    // { size, cube: share-link code of the position (share.js), solved, mode }
+    getState() {
+      return { size: cubeSize, cube: encodeCubeState(cubeState), solved: isSolved(cubeState), mode };
+    },
+    // Shows a position given as a code from getState() (or a share link's cube); throws ShareError
+    // for an impossible one. Queued turns are dropped and the history cleared.
+    async setState(code) {
+      const state = decodeCubeState(code);
+      const size = state.pieces ? state.size : 3;
+      if (size !== cubeSize) await changeSize(size);
+      else await resetCube();
+      buildCube(state);
+      updateAssembleUI();
+      if (mode === 'play') updateProgressUI();
+      refreshGuide();
+      scheduleAutosave();
+    },
+    reset: resetCube,
+    // Options: seed, randomState (3x3 only); resolves with { text, moves, seed, randomState }
+    scramble: options => scrambleCube(options),
+    // 'idle', 'setup' (records a setup sequence, started afresh), 'play' or 'tutorial' (3x3);
+    // timed solves need the app's timer panel
+    setMode(next) {
+      if (!['idle', 'setup', 'play', 'tutorial'].includes(next)) throw new RangeError(`Unknown mode ${next}`);
+      if (next === 'tutorial' && cubeSize !== 3) throw new RangeError('The tutorial needs a 3x3 cube');
+      if (next === 'setup' && mode !== 'setup') {
+        setupCount = 0; setupSequence.length = 0; clearHistory();
+      }
+      setMode(next);
+    },
+    getMode: () => mode,
+    // The beginner's next step for the cube as it is (tutorial.js): { stage, step, text, moves,
+    // notation } with moves ready for applyAlgorithm and notation as the tutorial shows it,
+    // repeats grouped; null on sizes other than 3x3
+    hint() {
+      const hint = cubeSize === 3 ? nextHint(cubeState) : null;
+      if (!hint) return null;
+      const { step, text, moves } = hint;
+      return { stage: TUTORIAL_STAGES[hint.stage] || 'Solved', step, text, moves: formatMoves(moves), notation: hintNotation(hint) };
+    },
+    on,
+    off,
+    // { geometries, textures, programs, calls, triangles, drawn (frames so far), tracked: { textures, materials, … } }
+    renderInfo,
+    // Stops everything, frees what the cube holds on the GPU and removes the canvas; the
+    // instance cannot be used afterwards
+    dispose() {
+      if (lifecycle.disposed) return;
+      turnQueue.abort(); // the turn on screen stops with the frames, so its promise settles here
+      listeners.clear();
+      lifecycle.dispose();
+    }
+  };
+}
 
 
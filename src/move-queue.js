@@ -0,0 +1,79 @@
+// Move queue: turns requested while another one is animating wait instead of being dropped
+// - push() returns a promise per move: true once performed, false if cancelled first
+// - An entry may be a function; it is called when the entry's turn comes and returns the move
+//   (or null to skip), so undo/redo can look at the history as it is at that point
+// - When several moves are waiting, animations are shortened so the cube catches up
+//   (a move with catchUp: false always plays at its own speed)
+// - cancel() drops everything still waiting; the turn already animating is finished
+// - abort() also gives up on the turn being animated, for when it will never finish (the cube
+//   is going away): every promise still open resolves false
+
+export function createMoveQueue(perform, { boostPerPending = 0.5, maxBoost = 4 } = {}) {
+  const pending = []; // { entry, resolve }
+  let running = false;
+  let current = null; // resolve of the entry being performed
+  let idleWaiters = [];
+
+  function boost() {
+    return Math.min(maxBoost, 1 + pending.length * boostPerPending);
+  }
+
+  async function drain() {
+    if (running) return;
+    running = true;
+    while (pending.length) {
+      const { entry, resolve } = pending.shift();
+      current = resolve;
+      let move = null;
+      try {
+        move = typeof entry === 'function' ? entry() : entry;
+        if (move) {
+          const factor = move.catchUp === false ? 1 : boost();
+          // eslint-disable-next-line no-await-in-loop
+          await perform({ ...move, speed: (move.speed || 1) * factor });
+        }
+      } catch (e) {
+        console.warn('Turn failed:', e);
+        move = null;
+      }
+      current = null;
+      resolve(Boolean(move));
+    }
+    running = false;
+    const waiters = idleWaiters;
+    idleWaiters = [];
+    waiters.forEach(r => r());
+  }
+
+  function push(entry) {
+    return new Promise(resolve => {
+      pending.push({ entry, resolve });
+      drain();
+    });
+  }
+
+  function cancel() {
+    for (const { resolve } of pending.splice(0)) resolve(false);
+  }
+
+  function abort() {
+    cancel();
+    current?.(false);
+    current = null;
+  }
+
+  // Resolves once nothing is animating or waiting
+  function idle() {
+    if (!running && pending.length === 0) return Promise.resolve();
+    return new Promise(r => idleWaiters.push(r));
+  }
+
+  return {
+    push,
+    cancel,
+    abort,
+    idle,
+    get size() { return pending.length; },
+    get busy() { return running || pending.length > 0; }
+  };
+}
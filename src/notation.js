@@ -0,0 +1,149 @@
+// Cube notation (Singmaster/WCA) <-> move objects
+// - Faces U D L R F B, wide turns Rw (or r), slices M E S, rotations x y z
+// - Big cubes (WCA): 3Rw turns the outer three layers, 2R only the second layer
+// - Suffixes: ' (counter-clockwise), 2 (half turn), 2'
+// - Moves are { axis, sign, cw, quarters, layers } as used by cube-state.js and animateTurn;
+//   `size` (default 3) decides which layers M E S and x y z turn
+
+const FACE_MOVES = {
+  U: { axis: 'y', sign: 1 },
+  D: { axis: 'y', sign: -1 },
+  R: { axis: 'x', sign: 1 },
+  L: { axis: 'x', sign: -1 },
+  F: { axis: 'z', sign: 1 },
+  B: { axis: 'z', sign: -1 }
+};
+
+// Slices (middle layer of odd cubes) turn like the face named in the comment;
+// rotations (every layer) like R, U and F
+const SLICE_MOVES = {
+  M: { axis: 'x', sign: -1 }, // L
+  E: { axis: 'y', sign: -1 }, // D
+  S: { axis: 'z', sign: 1 } // F
+};
+const ROTATION_MOVES = {
+  x: { axis: 'x', sign: 1 },
+  y: { axis: 'y', sign: 1 },
+  z: { axis: 'z', sign: 1 }
+};
+
+function allLayers(size) {
+  return Array.from({ length: size }, (_, d) => d);
+}
+
+export class NotationError extends Error {
+  constructor(message, position, token) {
+    super(message);
+    this.name = 'NotationError';
+    this.position = position; // index into the parsed string
+    this.token = token;
+  }
+}
+
+const TOKEN = /(\d*)([URFDLB]w|[URFDLBMESxyzurfdlb])(\d*)(['’′]?)/y;
+
+// Layers of a token, or an error message if the cube has no such layers
+function baseMove(prefix, letters, size) {
+  const depth = prefix === '' ? null : Number(prefix);
+  if (SLICE_MOVES[letters] || ROTATION_MOVES[letters]) {
+    if (depth !== null) return `"${prefix}" cannot prefix ${letters}`;
+    if (ROTATION_MOVES[letters]) return { ...ROTATION_MOVES[letters], layers: allLayers(size) };
+    if (size % 2 === 0) return `${letters} needs a cube with a middle layer`;
+    return { ...SLICE_MOVES[letters], layers: [(size - 1) / 2] };
+  }
+  const face = FACE_MOVES[letters[0].toUpperCase()];
+  // Wide: Rw (or SiGN r) turns two layers, 3Rw three; plain 2R turns only the second layer
+  const wide = letters.length === 2 || letters !== letters.toUpperCase();
+  const count = depth === null ? (wide ? 2 : 1) : depth;
+  if (count < 1 || count > size) return `${prefix}${letters} does not fit a ${size}x${size} cube`;
+  if (wide) return { ...face, layers: allLayers(count) };
+  return { ...face, layers: [count - 1] };
+}
+
+// Parses e.g. "R U R' U2 M E' S x y' Rw" into move objects.
+// Throws NotationError with the position of the first bad token.
+export function parseMoves(text, size = 3) {
+  const moves = [];
+  let i = 0;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) { i++; continue; }
+    TOKEN.lastIndex = i;
+    const m = TOKEN.exec(text);
+    if (!m) {
+      const bad = text.slice(i).split(/\s/)[0];
+      throw new NotationError(`Unknown move "${bad}" at position ${i}`, i, bad);
+    }
+    const amount = m[3] === '' ? 1 : Number(m[3]);
+    if (amount % 4 === 0) {
+      throw new NotationError(`Move "${m[0]}" does not turn anything at position ${i}`, i, m[0]);
+    }
+    const prime = m[4] !== '';
+    const quarters = amount % 4;
+    const move = baseMove(m[1], m[2], size);
+    if (typeof move === 'string') throw new NotationError(`${move} at position ${i}`, i, m[0]);
+    if (quarters === 2) Object.assign(move, { cw: !prime, quarters: 2 });
+    else Object.assign(move, { cw: (quarters === 1) !== prime, quarters: 1 });
+    if (move.layers && move.layers.length === 1 && move.layers[0] === 0) delete move.layers;
+    moves.push(move);
+    i = TOKEN.lastIndex;
+  }
+  return moves;
+}
+
+function suffix(move) {
+  if ((move.quarters || 1) % 4 === 2) return '2';
+  const q = ((move.cw ? 1 : 3) * (move.quarters || 1)) % 4;
+  return q === 1 ? '' : "'";
+}
+
+function sameLayers(a, b) {
+  return a.length === b.length && a.every(v => b.includes(v));
+}
+
+// Turning depths `layers` from one face is the same as turning the mirrored depths
+// from the opposite face in the other direction
+function fromOppositeFace(move, size) {
+  return {
+    ...move,
+    sign: -move.sign,
+    cw: !move.cw,
+    layers: (move.layers || [0]).map(d => size - 1 - d)
+  };
+}
+
+function letterFor(move, size) {
+  const layers = move.layers || [0];
+  const same = (k, v) => v.axis === move.axis && v.sign === move.sign;
+  const face = Object.keys(FACE_MOVES).find(k => same(k, FACE_MOVES[k]));
+  if (layers.length === size) {
+    return Object.keys(ROTATION_MOVES).find(k => same(k, ROTATION_MOVES[k])) || null;
+  }
+  if (layers.length === 1) {
+    const [d] = layers;
+    if (d === 0) return face;
+    if (size % 2 === 1 && d === (size - 1) / 2) {
+      // Middle layer: M E S, written from the face they follow (R side -> M')
+      return Object.keys(SLICE_MOVES).find(k => same(k, SLICE_MOVES[k])) || null;
+    }
+    return `${d + 1}${face}`;
+  }
+  if (sameLayers(layers, allLayers(layers.length))) {
+    return layers.length === 2 ? `${face}w` : `${layers.length}${face}w`;
+  }
+  return null;
+}
+
+export function formatMove(move, size = 3) {
+  let letter = letterFor(move, size);
+  let m = move;
+  if (!letter) {
+    m = fromOppositeFace(move, size);
+    letter = letterFor(m, size);
+  }
+  if (!letter) throw new Error(`No notation for move ${JSON.stringify(move)}`);
+  return letter + suffix(m);
+}
+
+export function formatMoves(moves, size = 3) {
+  return moves.map(m => formatMove(m, size)).join(' ');
+}
@@ -0,0 +1,76 @@
+// Pattern library: named move sequences that turn a solved cube into a pattern
+// - A pattern is { name, size, moves }: moves as notation text (notation.js), for a cube of `size`
+// - A few classics are built in; patterns recorded in Setup mode are kept in localStorage
+// - Pure data and storage, no DOM, like keymap.js
+
+import { parseMoves } from './notation.js';
+
+const STORAGE_KEY = 'psybik.patterns';
+const MAX_NAME_LENGTH = 40;
+
+export const BUILTIN_PATTERNS = [
+  { name: 'Checkerboard', size: 3, moves: 'M2 E2 S2' },
+  { name: 'Superflip', size: 3, moves: "U R2 F B R B2 R U2 L B2 R U' D' R2 F R' L B2 U2 F2" },
+  { name: 'Six spots', size: 3, moves: "U D' R L' F B' U D'" },
+  { name: 'Cube in a cube', size: 3, moves: "F L F U' R U F2 L2 U' L' B D' B' L2 U" }
+];
+
+export class PatternError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PatternError';
+  }
+}
+
+export function isBuiltinPattern(pattern) {
+  return BUILTIN_PATTERNS.includes(pattern);
+}
+
+// Move objects of a pattern; throws NotationError if its text is not valid notation
+export function patternMoves(pattern) {
+  return parseMoves(pattern.moves, pattern.size);
+}
+
+// Custom patterns, oldest first; entries that no longer parse are left out
+export function loadCustomPatterns() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!Array.isArray(stored)) return [];
+    return stored.filter(p => {
+      if (typeof p?.name !== 'string' || !Number.isInteger(p.size) || typeof p.moves !== 'string') return false;
+      try {
+        patternMoves(p);
+        return true;
+      } catch {
+        return false;
+      }
+    }).map(({ name, size, moves }) => ({ name, size, moves }));
+  } catch {
+    return [];
+  }
+}
+
+export function saveCustomPatterns(patterns) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(patterns));
+  } catch {
+    // Storage full or disabled: the patterns last for this page only
+  }
+}
+
+// New list with `pattern` added; a custom pattern of the same name is replaced.
+// Throws PatternError for an empty name, a built-in pattern's name or no moves.
+export function addPattern(patterns, { name, size, moves }) {
+  const trimmed = String(name ?? '').trim().slice(0, MAX_NAME_LENGTH);
+  if (!trimmed) throw new PatternError('Give the pattern a name');
+  const lower = trimmed.toLowerCase();
+  if (BUILTIN_PATTERNS.some(p => p.name.toLowerCase() === lower)) {
+    throw new PatternError(`“${trimmed}” is a built-in pattern, pick another name`);
+  }
+  if (!moves.trim()) throw new PatternError('The pattern has no moves');
+  return [...patterns.filter(p => p.name.toLowerCase() !== lower), { name: trimmed, size, moves }];
+}
+
+export function removePattern(patterns, name) {
+  return patterns.filter(p => p.name !== name);
+}
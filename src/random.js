@@ -0,0 +1,15 @@
+// Seeded random numbers, so textures and scrambles can be reproduced from a string
+
+export function makeSeededRng(seedStr) {
+  let seed = 0;
+  for (let i = 0; i < seedStr.length; i++) seed = (seed * 31 + seedStr.charCodeAt(i)) >>> 0;
+  return function rnd() {
+    seed = (1664525 * seed + 1013904223) >>> 0; // LCG
+    return (seed >>> 0) / 4294967296;
+  };
+}
+
+// Short random seed string for when the user did not pick one, e.g. "k3x9q1"
+export function randomSeed() {
+  return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+}
@@ -0,0 +1,163 @@
+// Reconstructions: a timed solve recorded turn by turn, split into its steps
+// - A recording is { cube, moves, times }: the position when inspection began (a share-link
+//   code, share.js), every turn from then on as notation, and when each turn started, in ms
+//   after the clock started (0 for turns made during inspection)
+// - On the 3x3 the steps are found from the cube itself, CFOP style: cross, the four F2L pairs,
+//   OLL and PLL. The cross face is the one whose first two layers are done first, so a cross
+//   that happens by accident on another face does not count. Other sizes get one step
+// - A step ends with the first turn after which it is done; a step done together with the one
+//   before it (a skip) has no turns
+// - Turn counts leave out whole-cube rotations, like the timer does
+
+import { applyMove, clone, cubeletPlacements, transformVector } from './cube-state.js';
+import { parseMoves, formatMoves } from './notation.js';
+import { decodeCubeState } from './share.js';
+import { formatResult, formatTime, turnsPerSecond } from './solve-session.js';
+
+// Faces as outward directions, the ones solvers start from most often first
+const DIRECTIONS = [[0, -1, 0], [0, 1, 0], [0, 0, 1], [0, 0, -1], [1, 0, 0], [-1, 0, 0]];
+
+// Positions of the 26 outer cubelets of a 3x3
+const POSITIONS = [];
+for (const x of [-1, 0, 1]) {
+  for (const y of [-1, 0, 1]) {
+    for (const z of [-1, 0, 1]) if (x || y || z) POSITIONS.push([x, y, z]);
+  }
+}
+
+const nonZero = p => p.filter(c => c !== 0).length;
+
+// The color on every facelet: 'x,y,z|dx,dy,dz' (cubelet position and the direction the sticker
+// faces) -> the face the sticker belongs to, written as its home direction
+function facelets(state) {
+  const colors = new Map();
+  for (const { home, position, rotation } of cubeletPlacements(state)) {
+    home.forEach((c, axis) => {
+      if (c === 0) return;
+      const normal = [0, 0, 0];
+      normal[axis] = Math.sign(c);
+      colors.set(`${position}|${transformVector(rotation, normal).map(v => v || 0)}`, normal.join());
+    });
+  }
+  return colors;
+}
+
+// Whether each sticker of the cubelet at `position` has the color of the center on its side;
+// measured against the centers, so rotations and slice turns do not get in the way
+function pieceSolved(colors, position) {
+  return position.every((c, axis) => {
+    if (c === 0) return true;
+    const side = [0, 0, 0];
+    side[axis] = c;
+    return colors.get(`${position}|${side}`) === colors.get(`${side}|${side}`);
+  });
+}
+
+// Progress of one face as the bottom: cross done, F2L pairs done (with the cross), and
+// whether the last layer on the opposite face is oriented
+function faceProgress(colors, d) {
+  const axis = d.findIndex(c => c !== 0);
+  const side = d[axis];
+  const cross = POSITIONS.filter(p => p[axis] === side && nonZero(p) === 2).every(p => pieceSolved(colors, p));
+  let pairs = 0;
+  for (const corner of POSITIONS.filter(p => p[axis] === side && nonZero(p) === 3)) {
+    const edge = corner.slice();
+    edge[axis] = 0;
+    if (pieceSolved(colors, corner) && pieceSolved(colors, edge)) pairs += 1;
+  }
+  const top = d.map(c => -c);
+  const topColor = colors.get(`${top}|${top}`);
+  const oriented = POSITIONS.filter(p => p[axis] === -side).every(p => colors.get(`${p}|${top}`) === topColor);
+  return { cross, pairs: cross ? pairs : 0, oriented };
+}
+
+// { size, state, moves, times } of a recording; throws (ShareError, NotationError, Error) if
+// it is damaged
+export function readRecording({ cube, moves, times }) {
+  const state = decodeCubeState(cube);
+  const size = state.pieces ? state.size : 3;
+  const list = parseMoves(moves, size);
+  if (!Array.isArray(times) || times.length !== list.length || !times.every(Number.isFinite)) {
+    throw new Error('turn times do not match the turns');
+  }
+  return { size, state, moves: list, times: times.slice() };
+}
+
+function isRotation(move, size) {
+  return (move.layers || [0]).length === size;
+}
+
+// Steps of a recording from readRecording:
+// [{ name, from, to, turns, time, tps }] where moves[from..to) belong to the step, turns
+// leaves out rotations, time is ms from the end of the step before and tps is null without time
+export function analyzeSolve({ size, state, moves, times }) {
+  const ends = [];
+  if (size === 3) {
+    // Progress of every face after each turn (index 0: before the first)
+    const progress = [];
+    const s = clone(state);
+    progress.push(DIRECTIONS.map(d => faceProgress(facelets(s), d)));
+    for (const m of moves) {
+      applyMove(s, m);
+      progress.push(DIRECTIONS.map(d => faceProgress(facelets(s), d)));
+    }
+    const firstAt = (face, from, test) => {
+      for (let i = from; i < progress.length; i++) if (test(progress[i][face])) return i;
+      return -1;
+    };
+    let face = -1;
+    let f2lEnd = Infinity;
+    DIRECTIONS.forEach((d, i) => {
+      const at = firstAt(i, 0, p => p.pairs === 4);
+      if (at >= 0 && at < f2lEnd) {
+        face = i;
+        f2lEnd = at;
+      }
+    });
+    if (face >= 0) {
+      let at = firstAt(face, 0, p => p.cross);
+      ends.push({ name: 'Cross', at });
+      for (let k = 1; k <= 4; k++) {
+        at = firstAt(face, at, p => p.pairs >= k);
+        ends.push({ name: `F2L ${k}`, at });
+      }
+      at = firstAt(face, at, p => p.pairs === 4 && p.oriented);
+      if (at >= 0) {
+        ends.push({ name: 'OLL', at });
+        ends.push({ name: 'PLL', at: progress.length - 1 });
+      }
+    }
+  }
+  if (ends.length === 0) ends.push({ name: 'Solve', at: moves.length });
+
+  const endTime = i => (i > 0 ? times[i - 1] : 0);
+  let from = 0;
+  return ends.map(({ name, at }) => {
+    const to = Math.max(from, at);
+    const turns = moves.slice(from, to).filter(m => !isRotation(m, size)).length;
+    const time = endTime(to) - endTime(from);
+    const step = { name, from, to, turns, time, tps: time > 0 ? turns / (time / 1000) : null };
+    from = to;
+    return step;
+  });
+}
+
+// The reconstruction as text, one line per step:
+//   12.34 (45 moves, 3.65 TPS)
+//   Scramble: …
+//   y2 D R' F D' // Cross (4 moves, 1.20 s)
+export function reconstructionText(result) {
+  const recording = readRecording(result.reconstruction);
+  const tps = turnsPerSecond(result);
+  const lines = [`${formatResult(result)} (${result.moves} moves${tps === null ? '' : `, ${tps.toFixed(2)} TPS`})`];
+  if (result.scramble) lines.push(`Scramble: ${result.scramble}`);
+  lines.push('');
+  for (const step of analyzeSolve(recording)) {
+    const moves = formatMoves(recording.moves.slice(step.from, step.to), recording.size);
+    const stats = step.to === step.from
+      ? 'skip'
+      : `${step.turns} move${step.turns === 1 ? '' : 's'}, ${formatTime(step.time)} s`;
+    lines.push(`${moves ? `${moves} ` : ''}// ${step.name} (${stats})`);
+  }
+  return lines.join('\n');
+}
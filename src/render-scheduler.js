@@ -0,0 +1,26 @@
+// Render on demand: the scene is drawn when something changed instead of on every frame
+// - invalidate() asks for a frame; any number of calls before it is drawn give one frame
+// - draw() returns true while it needs the next frame too (orbit damping still settling,
+//   animated faces), so those keep drawing until they come to rest
+// - Nothing is drawn while the page is hidden; invalidate() again when it shows
+// - frames counts the frames drawn, for the debug readout and tests
+
+export function createRenderScheduler(draw, { requestFrame = requestAnimationFrame, isHidden = () => document.hidden } = {}) {
+  let scheduled = false;
+  let frames = 0;
+
+  function invalidate() {
+    if (scheduled || isHidden()) return;
+    scheduled = true;
+    requestFrame(() => {
+      scheduled = false;
+      frames += 1;
+      if (draw()) invalidate();
+    });
+  }
+
+  return {
+    invalidate,
+    get frames() { return frames; }
+  };
+}
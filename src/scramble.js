@@ -0,0 +1,100 @@
+// Scramble generator
+// - Random-move scrambles never turn the same layers twice within a run of turns on one
+//   axis (R R, R L R, Rw R Rw), so no move cancels or merges with its neighbours.
+//   Like WCA scrambles, the 2x2 only turns U R F and big cubes add wide turns (Rw, 3Rw);
+//   on even cubes the half-cube wide turns only use U R F, since Lw = Rw plus a rotation there
+// - Random-state scrambles (3x3 only) pick a uniformly random solvable cube and reach it
+//   with the solver
+// - Every scramble comes from a seed (makeSeededRng), so the same seed gives the same scramble
+
+import { makeSeededRng, randomSeed } from './random.js';
+import { FACES, FACE_AXIS, createSolvedState, invertMoves } from './cube-state.js';
+import { solve } from './solver.js';
+import { formatMoves } from './notation.js';
+
+// Phase-1 nodes the solver may visit for a random-state scramble; a fixed budget
+// (instead of a time limit) keeps the result the same on every machine
+const RANDOM_STATE_NODES = 60000;
+
+function pick(rnd, list) {
+  return list[Math.floor(rnd() * list.length)];
+}
+
+// WCA-like lengths per cube size
+const SCRAMBLE_LENGTH = { 2: 11, 3: 20, 4: 40, 5: 60, 6: 80, 7: 100 };
+
+function randomMoves(rnd, length, size) {
+  // Turned widths: the outer layer, plus wide turns up to half the cube
+  const widths = [1];
+  for (let w = 2; w <= Math.floor(size / 2); w++) widths.push(w);
+  const faces = size === 2 ? ['U', 'R', 'F'] : FACES;
+  const moves = [];
+  while (moves.length < length) {
+    const face = FACE_AXIS[pick(rnd, faces)];
+    const width = widths.length > 1 ? pick(rnd, widths) : widths[0];
+    if (size % 2 === 0 && width === size / 2 && face.sign < 0) continue;
+    // Turns on one axis commute, so look back over the whole run on this axis
+    let clash = false;
+    for (let i = moves.length - 1; i >= 0 && moves[i].axis === face.axis; i--) {
+      if (moves[i].sign === face.sign && (moves[i].layers || [0]).length === width) clash = true;
+    }
+    if (clash) continue;
+    const [a, b] = moves.slice(-2).reverse();
+    if (size <= 3 && a && b && a.axis === face.axis && b.axis === face.axis) continue;
+    const amount = pick(rnd, [1, 2, 3]);
+    const move = amount === 2
+      ? { ...face, cw: true, quarters: 2 }
+      : { ...face, cw: amount === 1, quarters: 1 };
+    if (width > 1) move.layers = Array.from({ length: width }, (_, d) => d);
+    moves.push(move);
+  }
+  return moves;
+}
+
+function shuffle(rnd, arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rnd() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+function parity(perm) {
+  let p = 0;
+  for (let i = 0; i < perm.length; i++) for (let j = i + 1; j < perm.length; j++) if (perm[j] < perm[i]) p ^= 1;
+  return p;
+}
+
+// Orientations with a valid total: the last piece makes up for the others
+function randomOrientation(rnd, count, modulo) {
+  const ori = [];
+  for (let i = 0; i < count - 1; i++) ori.push(Math.floor(rnd() * modulo));
+  ori.push((modulo - (ori.reduce((a, b) => a + b, 0) % modulo)) % modulo);
+  return ori;
+}
+
+export function randomState(rnd) {
+  const state = createSolvedState();
+  state.cp = shuffle(rnd, state.cp);
+  state.ep = shuffle(rnd, state.ep);
+  if (parity(state.cp) !== parity(state.ep)) [state.ep[10], state.ep[11]] = [state.ep[11], state.ep[10]];
+  state.co = randomOrientation(rnd, 8, 3);
+  state.eo = randomOrientation(rnd, 12, 2);
+  return state;
+}
+
+function randomStateMoves(rnd) {
+  const solution = solve(randomState(rnd), { timeLimit: Infinity, nodeLimit: RANDOM_STATE_NODES, ignoreCenters: true });
+  return invertMoves(solution);
+}
+
+// Returns { seed, size, randomState, moves, text }; without a seed a fresh one is picked.
+// randomState is ignored for sizes other than 3.
+export function generateScramble({ seed = randomSeed(), size = 3, randomState: wantRandomState = false, length } = {}) {
+  const useRandomState = wantRandomState && size === 3;
+  const rnd = makeSeededRng(`scramble-${useRandomState ? 'state' : 'moves'}-${seed}`);
+  const moves = useRandomState
+    ? randomStateMoves(rnd)
+    : randomMoves(rnd, length || SCRAMBLE_LENGTH[size] || 20, size);
+  return { seed, size, randomState: useRandomState, moves, text: formatMoves(moves, size) };
+}
@@ -0,0 +1,164 @@
+// Share links: a cube position, and what goes with it, packed into location.hash
+// - #cube=<state>&scramble=<moves>&solution=<moves>&theme=<theme code>; only cube is required
+// - A 3x3 state lists its pieces the way cube-state.js keeps them: corner and edge permutation
+//   and orientation, center slots and center twists, e.g. "3-01234567-00000000-0123…"
+// - Other sizes give the rotation of every cubelet (one letter each); its position follows,
+//   since a cubelet always sits where its rotation takes its home position
+// - decodeShareHash checks everything before anything is applied and throws ShareError with a
+//   message meant for the user
+
+import { createSolvedState, homeRotation, applyMoves, clone, pieceArrays } from './cube-state.js';
+import { parseMoves, NotationError } from './notation.js';
+import { decodeTheme, ThemeError } from './theme.js';
+
+const SIZES = [2, 3, 4, 5, 6, 7];
+
+export class ShareError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShareError';
+  }
+}
+
+// The 24 rotations of the cube as row-major 3x3 matrices, in a fixed order; a cubelet's
+// rotation travels as its index written as a letter a..x
+const ROTATIONS = [];
+for (const axes of [[0, 1, 2], [0, 2, 1], [1, 0, 2], [1, 2, 0], [2, 0, 1], [2, 1, 0]]) {
+  for (let signs = 0; signs < 8; signs++) {
+    const m = new Array(9).fill(0);
+    axes.forEach((col, row) => { m[3 * row + col] = signs & (1 << row) ? -1 : 1; });
+    const det = m[0] * (m[4] * m[8] - m[5] * m[7]) - m[1] * (m[3] * m[8] - m[5] * m[6]) + m[2] * (m[3] * m[7] - m[4] * m[6]);
+    if (det === 1) ROTATIONS.push(m);
+  }
+}
+const ROTATION_LETTERS = 'abcdefghijklmnopqrstuvwx';
+
+function parity(perm) {
+  let odd = 0;
+  for (let i = 0; i < perm.length; i++) {
+    for (let j = i + 1; j < perm.length; j++) if (perm[i] > perm[j]) odd ^= 1;
+  }
+  return odd;
+}
+
+const sum = list => list.reduce((a, b) => a + b, 0);
+
+// Piece fields of a 3x3 code, in order, with the digits each may use
+const PIECE_FIELDS = [
+  { key: 'cp', length: 8, max: 8, perm: true },
+  { key: 'co', length: 8, max: 3 },
+  { key: 'ep', length: 12, max: 12, perm: true },
+  { key: 'eo', length: 12, max: 2 },
+  { key: 'centerPerm', length: 6, max: 6, perm: true },
+  { key: 'centerTwist', length: 6, max: 4 }
+];
+
+export function encodeCubeState(state) {
+  if (state.pieces) {
+    const letters = state.pieces.map(p => ROTATION_LETTERS[ROTATIONS.findIndex(r => r.every((v, i) => v === p.rotation[i]))]);
+    return `${state.size}-${letters.join('')}`;
+  }
+  return ['3', ...PIECE_FIELDS.map(f => state[f.key].map(v => v.toString(36)).join(''))].join('-');
+}
+
+function decodePieceState(parts) {
+  if (parts.length !== PIECE_FIELDS.length) throw new ShareError('The cube in the link is incomplete');
+  const state = {};
+  PIECE_FIELDS.forEach((field, i) => {
+    const digits = [...parts[i]].map(c => parseInt(c, 36));
+    if (digits.length !== field.length || digits.some(d => !(d < field.max))) {
+      throw new ShareError('The cube in the link is damaged');
+    }
+    if (field.perm && new Set(digits).size !== digits.length) throw new ShareError('The cube in the link has a piece twice');
+    state[field.key] = digits;
+  });
+  checkPieces(state);
+  return state;
+}
+
+// What no sequence of turns can change; a cube breaking one of these cannot be solved.
+// Takes 3x3 piece arrays; without edges (even sizes) only the corner twist is checked.
+function checkPieces(state) {
+  if (sum(state.co) % 3 !== 0) throw new ShareError('The cube in the link has a twisted corner and cannot be solved');
+  if (!state.ep) return;
+  if (sum(state.eo) % 2 !== 0) throw new ShareError('The cube in the link has a flipped edge and cannot be solved');
+  const upright = applyMoves(clone(state), homeRotation(state));
+  if (!upright.centerPerm.every((p, i) => p === i)) throw new ShareError('The centers in the link are not where a real cube has them');
+  if (parity(state.cp) ^ parity(state.ep) ^ parity(state.centerPerm)) {
+    throw new ShareError('The cube in the link has two pieces swapped and cannot be solved');
+  }
+  if ((sum(state.centerTwist) + parity(state.cp)) % 2 !== 0) {
+    throw new ShareError('The cube in the link has a center turned by a quarter and cannot be solved');
+  }
+}
+
+function decodeCubeletState(size, letters) {
+  const state = createSolvedState(size);
+  if (letters.length !== state.pieces.length) throw new ShareError(`The ${size}×${size} cube in the link is incomplete`);
+  const taken = new Set();
+  state.pieces.forEach((p, i) => {
+    const index = ROTATION_LETTERS.indexOf(letters[i]);
+    if (index < 0) throw new ShareError('The cube in the link is damaged');
+    const r = ROTATIONS[index];
+    p.rotation = r.slice();
+    p.position = [0, 1, 2].map(row => r[3 * row] * p.home[0] + r[3 * row + 1] * p.home[1] + r[3 * row + 2] * p.home[2]);
+    const key = p.position.join();
+    if (taken.has(key)) throw new ShareError('The cube in the link has two pieces in one place');
+    taken.add(key);
+  });
+  // Corners, middle edges and fixed centers turn as on a 3x3 (inner slices never move them), so
+  // they obey its rules. A wing's rotation follows from its slot, so it cannot sit flipped in place.
+  checkPieces(pieceArrays(state));
+  return state;
+}
+
+// Cube state of a code from encodeCubeState; throws ShareError if it is not a possible cube
+export function decodeCubeState(text) {
+  const [sizeText, ...parts] = String(text).split('-');
+  const size = Number(sizeText);
+  if (!SIZES.includes(size)) throw new ShareError(`The link is for a cube size this page does not have (${sizeText})`);
+  if (size === 3) return decodePieceState(parts);
+  if (parts.length !== 1) throw new ShareError('The cube in the link is damaged');
+  return decodeCubeletState(size, parts[0]);
+}
+
+// Hash for a share link, "#cube=…"; scramble, solution and theme (a theme code) are optional
+export function encodeShareHash({ state, scramble, solution, theme }) {
+  const params = new URLSearchParams({ cube: encodeCubeState(state) });
+  if (scramble) params.set('scramble', scramble);
+  if (solution) params.set('solution', solution);
+  if (theme) params.set('theme', theme);
+  return `#${params.toString().replace(/\+/g, '%20')}`;
+}
+
+function checkMoves(text, size, what) {
+  try {
+    parseMoves(text, size);
+  } catch (e) {
+    if (!(e instanceof NotationError)) throw e;
+    throw new ShareError(`The ${what} in the link is not valid notation: ${e.message}`);
+  }
+  return text;
+}
+
+// Reads location.hash: null when the hash holds no cube, otherwise
+// { size, state, scramble, solution, theme } with the texts as given and theme decoded (or null).
+// Throws ShareError when any part is invalid.
+export function decodeShareHash(hash) {
+  const params = new URLSearchParams(String(hash ?? '').replace(/^#/, ''));
+  if (!params.has('cube')) return null;
+  const state = decodeCubeState(params.get('cube'));
+  const size = state.pieces ? state.size : 3;
+  const scramble = params.get('scramble') ? checkMoves(params.get('scramble'), size, 'scramble') : '';
+  const solution = params.get('solution') ? checkMoves(params.get('solution'), size, 'solution') : '';
+  let theme = null;
+  if (params.get('theme')) {
+    try {
+      theme = decodeTheme(params.get('theme'));
+    } catch (e) {
+      if (!(e instanceof ThemeError)) throw e;
+      throw new ShareError(`The theme in the link cannot be used: ${e.message}`);
+    }
+  }
+  return { size, state, scramble, solution, theme };
+}
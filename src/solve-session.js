@@ -0,0 +1,100 @@
+// Timed solves: WCA inspection rules, time formatting and session statistics
+// - A result is { size, time, moves, penalty, date, scramble, reconstruction }: size the N of
+//   the cube, time in ms without penalty, penalty null | '+2' | 'DNF' (from inspection overrun),
+//   reconstruction the recorded turns (reconstruction.js; not for a DNF in inspection)
+// - The session (list of results, all sizes) is kept in localStorage; statistics are taken over
+//   the results of one size
+
+export const INSPECTION_MS = 15000;
+const PLUS_TWO_MS = 2000;
+const DNF_AFTER_MS = INSPECTION_MS + 2000;
+
+const STORAGE_KEY = 'psybik.session';
+
+// Penalty for starting after `inspectionMs` of inspection (WCA 10f1/10f2)
+export function inspectionPenalty(inspectionMs) {
+  if (inspectionMs > DNF_AFTER_MS) return 'DNF';
+  if (inspectionMs > INSPECTION_MS) return '+2';
+  return null;
+}
+
+export function isInspectionOver(inspectionMs) {
+  return inspectionMs > DNF_AFTER_MS;
+}
+
+// Counted time of a result, Infinity for DNF
+export function resultTime(result) {
+  if (result.penalty === 'DNF') return Infinity;
+  return result.time + (result.penalty === '+2' ? PLUS_TWO_MS : 0);
+}
+
+// 12345 -> "12.34", 83456 -> "1:23.45", Infinity -> "DNF", null -> "—"
+export function formatTime(ms) {
+  if (ms == null || Number.isNaN(ms)) return '—';
+  if (ms === Infinity) return 'DNF';
+  const cs = Math.floor(ms / 10);
+  const minutes = Math.floor(cs / 6000);
+  const seconds = Math.floor(cs / 100) % 60;
+  const hundredths = String(cs % 100).padStart(2, '0');
+  if (minutes === 0) return `${seconds}.${hundredths}`;
+  return `${minutes}:${String(seconds).padStart(2, '0')}.${hundredths}`;
+}
+
+export function formatResult(result) {
+  if (result.penalty === 'DNF') return 'DNF';
+  const text = formatTime(resultTime(result));
+  return result.penalty === '+2' ? `${text}+` : text;
+}
+
+// Turns per second of a result, null if it has no time
+export function turnsPerSecond(result) {
+  if (!result.time || result.penalty === 'DNF') return null;
+  return result.moves / (result.time / 1000);
+}
+
+// WCA average of the last `n` results: drop the best and worst, mean of the rest.
+// null if there are fewer than n results, Infinity (DNF) if more than one is a DNF.
+export function averageOf(results, n) {
+  if (results.length < n) return null;
+  const times = results.slice(-n).map(resultTime).sort((a, b) => a - b);
+  const trim = Math.max(1, Math.ceil(n * 0.05));
+  const kept = times.slice(trim, n - trim);
+  if (kept.includes(Infinity)) return Infinity;
+  return kept.reduce((a, b) => a + b, 0) / kept.length;
+}
+
+export function bestTime(results) {
+  const times = results.map(resultTime).filter(t => t !== Infinity);
+  return times.length ? Math.min(...times) : null;
+}
+
+// The results of an NxN session
+export function resultsForSize(results, size) {
+  return results.filter(r => r.size === size);
+}
+
+// Results saved before sizes were recorded: the size from the reconstruction's cube code
+// ("4-…"), else 3x3, the only size timed solves had then
+function sizeOfResult(result) {
+  if (typeof result.size === 'number') return result.size;
+  const size = Number(String(result.reconstruction?.cube ?? '').split('-')[0]);
+  return Number.isInteger(size) && size >= 2 ? size : 3;
+}
+
+export function loadSession() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!stored || !Array.isArray(stored.results)) return [];
+    return stored.results.filter(r => r && typeof r.time === 'number').map(r => ({ ...r, size: sizeOfResult(r) }));
+  } catch {
+    return [];
+  }
+}
+
+export function saveSession(results) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ results }));
+  } catch {
+    // Storage full or disabled: the session lasts for this page only
+  }
+}
@@ -0,0 +1,68 @@
+// Assemble's solver off the main thread: one module worker running solver.js
+// - solve(state) resolves with the turns solver.js returns for a 3x3 state, or rejects with its
+//   error; the worker builds its tables as soon as it starts
+// - Without module workers (or once the worker fails) it solves on the main thread instead,
+//   after a frame has been drawn so the page can show that Assemble is busy
+
+import { solve as solveHere } from './solver.js';
+
+function startWorker() {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('./solver-worker.js', import.meta.url), { type: 'module' });
+  } catch {
+    return null;
+  }
+}
+
+async function solveOnMainThread(state) {
+  await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+  return solveHere(state);
+}
+
+export function createSolverThread() {
+  let worker = startWorker();
+  const waiting = new Map(); // id -> { state, resolve, reject }
+  let nextId = 1;
+
+  function fallBack() {
+    worker?.terminate();
+    worker = null;
+    for (const { state, resolve, reject } of waiting.values()) solveOnMainThread(state).then(resolve, reject);
+    waiting.clear();
+  }
+
+  if (worker) {
+    worker.onmessage = e => {
+      const { id, moves, error } = e.data;
+      const job = waiting.get(id);
+      if (!job) return;
+      waiting.delete(id);
+      if (error) job.reject(new Error(error));
+      else job.resolve(moves);
+    };
+    worker.onerror = e => {
+      e.preventDefault?.();
+      console.warn('Solver worker failed, solving on the main thread:', e.message || e);
+      fallBack();
+    };
+  }
+
+  function solve(state) {
+    if (!worker) return solveOnMainThread(state);
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+      waiting.set(id, { state, resolve, reject });
+      worker.postMessage({ id, state });
+    });
+  }
+
+  function dispose() {
+    worker?.terminate();
+    worker = null;
+    for (const { reject } of waiting.values()) reject(new Error('The solver was stopped'));
+    waiting.clear();
+  }
+
+  return { solve, dispose };
+}
@@ -0,0 +1,16 @@
+// Worker side of solver-thread.js
+// - A job is { id, state } (a 3x3 cube-state); the answer is { id, moves } or { id, error }
+// - The lookup tables are built when the worker starts, before the first job is read
+
+import { solve, prepareSolver } from './solver.js';
+
+prepareSolver();
+
+self.onmessage = e => {
+  const { id, state } = e.data;
+  try {
+    self.postMessage({ id, moves: solve(state) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
@@ -0,0 +1,471 @@
+// Cube solver for the Assemble button
+// - Kociemba two-phase search over corner/edge permutation and orientation
+// - Center orientation (supercube) fixed afterwards with pure center-twist algorithms
+// - Works on the cube-state model; moves come back as { axis, sign, cw, quarters }
+
+import {
+  FACES, FACE_AXIS, createSolvedState, applyMove, applyMoves, clone, homeRotation, conjugateMove
+} from './cube-state.js';
+
+// Cubie-level face turns (clockwise quarter) in FACES order, taken from the cube model
+const BASIC_MOVES = FACES.map(f => applyMove(createSolvedState(), { ...FACE_AXIS[f], cw: true, quarters: 1 }));
+
+// Shortest known pure center twists (pieces untouched); the rest are generated by symmetry
+const CENTER_ALGS = [
+  "R2 F' B U2 L2 D2 B' F L2 U2",
+  'R2 F2 R2 D2 U2 L2 B2 L2 D2 U2',
+  "F U D F2 U' D' F D U F2 D' U'",
+  "R2 F B' U2 R2 L2 U2 B F' R2 D2 U2",
+  "R U D F B' R' L' D' L R B F' D' U'",
+  "R U D F2 B2 U' D' L' D U B2 F2 D' U'",
+  "R L U D F2 R' L' D U L R B2 D' U'",
+  "R L' U D' R L' U D' L R' B2 F2 D U'",
+  'R F2 U2 R F2 D2 B2 L F2 U2 L D2 B2 U2',
+  "R L U D R2 L2 U' D' B2 F2 L' R' D2 U2"
+];
+
+const N_TWIST = 2187;
+const N_FLIP = 2048;
+const N_SLICE = 495;
+const N_PERM8 = 40320;
+const N_SLICE_PERM = 24;
+const N_MOVES = 18;
+// Moves that keep the cube inside phase 2: U, U2, U', D, D2, D', R2, F2, L2, B2
+const PHASE2_MOVES = [0, 1, 2, 4, 7, 9, 10, 11, 13, 16];
+
+function solvedCubie() {
+  return {
+    cp: [0, 1, 2, 3, 4, 5, 6, 7],
+    co: [0, 0, 0, 0, 0, 0, 0, 0],
+    ep: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+    eo: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  };
+}
+
+function multiplyCorners(a, b, out) {
+  for (let i = 0; i < 8; i++) {
+    out.cp[i] = a.cp[b.cp[i]];
+    out.co[i] = (a.co[b.cp[i]] + b.co[i]) % 3;
+  }
+}
+
+function multiplyEdges(a, b, out) {
+  for (let i = 0; i < 12; i++) {
+    out.ep[i] = a.ep[b.ep[i]];
+    out.eo[i] = (a.eo[b.ep[i]] + b.eo[i]) % 2;
+  }
+}
+
+function applyFace(cubie, face, quarters) {
+  let cur = cubie;
+  for (let q = 0; q < quarters; q++) {
+    const next = solvedCubie();
+    multiplyCorners(cur, BASIC_MOVES[face], next);
+    multiplyEdges(cur, BASIC_MOVES[face], next);
+    cur = next;
+  }
+  return cur;
+}
+
+// Coordinates
+function getTwist(c) {
+  let v = 0;
+  for (let i = 0; i < 7; i++) v = v * 3 + c.co[i];
+  return v;
+}
+
+function setTwist(c, v) {
+  let sum = 0;
+  for (let i = 6; i >= 0; i--) {
+    c.co[i] = v % 3;
+    sum += c.co[i];
+    v = Math.floor(v / 3);
+  }
+  c.co[7] = (3 - (sum % 3)) % 3;
+}
+
+function getFlip(c) {
+  let v = 0;
+  for (let i = 0; i < 11; i++) v = v * 2 + c.eo[i];
+  return v;
+}
+
+function setFlip(c, v) {
+  let sum = 0;
+  for (let i = 10; i >= 0; i--) {
+    c.eo[i] = v & 1;
+    sum += c.eo[i];
+    v >>= 1;
+  }
+  c.eo[11] = sum & 1;
+}
+
+function binomial(n, k) {
+  if (k < 0 || k > n) return 0;
+  let r = 1;
+  for (let i = 0; i < k; i++) r = (r * (n - i)) / (i + 1);
+  return r;
+}
+
+// Which 4 of the 12 edge slots hold the E-slice edges (FR, FL, BL, BR)
+function getSlice(c) {
+  let v = 0, k = 0;
+  for (let i = 0; i < 12; i++) {
+    if (c.ep[i] >= 8) {
+      k += 1;
+      v += binomial(i, k);
+    }
+  }
+  return v;
+}
+
+function setSlice(c, v) {
+  const isSlice = new Array(12).fill(false);
+  let k = 4;
+  for (let i = 11; i >= 0 && k > 0; i--) {
+    const b = binomial(i, k);
+    if (v >= b) {
+      v -= b;
+      isSlice[i] = true;
+      k -= 1;
+    }
+  }
+  let s = 8, o = 0;
+  for (let i = 0; i < 12; i++) c.ep[i] = isSlice[i] ? s++ : o++;
+}
+
+function getPermRank(arr, from, count) {
+  let v = 0;
+  for (let i = 0; i < count; i++) {
+    let smaller = 0;
+    for (let j = i + 1; j < count; j++) if (arr[from + j] < arr[from + i]) smaller++;
+    v = v * (count - i) + smaller;
+  }
+  return v;
+}
+
+function setPermRank(arr, from, count, offset, v) {
+  const digits = new Array(count);
+  for (let i = count - 1; i >= 0; i--) {
+    digits[i] = v % (count - i);
+    v = Math.floor(v / (count - i));
+  }
+  const pool = [];
+  for (let i = 0; i < count; i++) pool.push(i + offset);
+  for (let i = 0; i < count; i++) arr[from + i] = pool.splice(digits[i], 1)[0];
+}
+
+const getCornerPerm = c => getPermRank(c.cp, 0, 8);
+const getUdEdgePerm = c => getPermRank(c.ep, 0, 8);
+const getSlicePerm = c => getPermRank(c.ep, 8, 4);
+
+let tables = null;
+
+function buildMoveTable(size, set, get, part) {
+  const table = new Uint16Array(size * N_MOVES);
+  for (let v = 0; v < size; v++) {
+    let c = solvedCubie();
+    set(c, v);
+    for (let f = 0; f < 6; f++) {
+      let cur = c;
+      for (let q = 0; q < 3; q++) {
+        const next = solvedCubie();
+        if (part === 'corners') multiplyCorners(cur, BASIC_MOVES[f], next);
+        else multiplyEdges(cur, BASIC_MOVES[f], next);
+        cur = next;
+        table[v * N_MOVES + f * 3 + q] = get(cur);
+      }
+    }
+  }
+  return table;
+}
+
+function buildPruneTable(sizeA, sizeB, moveA, moveB, startA, startB, moves) {
+  const table = new Int8Array(sizeA * sizeB).fill(-1);
+  const queue = new Int32Array(sizeA * sizeB);
+  let head = 0, tail = 0;
+  table[startA * sizeB + startB] = 0;
+  queue[tail++] = startA * sizeB + startB;
+  while (head < tail) {
+    const idx = queue[head++];
+    const a = Math.floor(idx / sizeB), b = idx % sizeB;
+    const d = table[idx];
+    for (const m of moves) {
+      const n = moveA[a * N_MOVES + m] * sizeB + moveB[b * N_MOVES + m];
+      if (table[n] === -1) {
+        table[n] = d + 1;
+        queue[tail++] = n;
+      }
+    }
+  }
+  return table;
+}
+
+function ensureTables() {
+  if (tables) return tables;
+  const allMoves = [];
+  for (let m = 0; m < N_MOVES; m++) allMoves.push(m);
+  const solved = solvedCubie();
+
+  const twistMove = buildMoveTable(N_TWIST, setTwist, getTwist, 'corners');
+  const flipMove = buildMoveTable(N_FLIP, setFlip, getFlip, 'edges');
+  const sliceMove = buildMoveTable(N_SLICE, setSlice, getSlice, 'edges');
+  const cornerPermMove = buildMoveTable(N_PERM8, (c, v) => setPermRank(c.cp, 0, 8, 0, v), getCornerPerm, 'corners');
+  const udEdgePermMove = buildMoveTable(N_PERM8, (c, v) => setPermRank(c.ep, 0, 8, 0, v), getUdEdgePerm, 'edges');
+  const slicePermMove = buildMoveTable(N_SLICE_PERM, (c, v) => setPermRank(c.ep, 8, 4, 8, v), getSlicePerm, 'edges');
+
+  const solvedSlice = getSlice(solved);
+  tables = {
+    solvedSlice,
+    twistMove, flipMove, sliceMove,
+    cornerPermMove, udEdgePermMove, slicePermMove,
+    twistSlicePrune: buildPruneTable(N_TWIST, N_SLICE, twistMove, sliceMove, 0, solvedSlice, allMoves),
+    flipSlicePrune: buildPruneTable(N_FLIP, N_SLICE, flipMove, sliceMove, 0, solvedSlice, allMoves),
+    cornerSlicePrune: buildPruneTable(N_PERM8, N_SLICE_PERM, cornerPermMove, slicePermMove, 0, 0, PHASE2_MOVES),
+    edgeSlicePrune: buildPruneTable(N_PERM8, N_SLICE_PERM, udEdgePermMove, slicePermMove, 0, 0, PHASE2_MOVES)
+  };
+  return tables;
+}
+
+// Center twist state: 2 bits per face in FACES order, value = clockwise quarter turns
+function twistKey(twists) {
+  let k = 0;
+  for (let i = 0; i < 6; i++) k |= (twists[i] & 3) << (2 * i);
+  return k;
+}
+
+function parseFaceMoves(str) {
+  return str.split(' ').map(t => ({
+    face: FACES.indexOf(t[0]),
+    quarters: t[1] === '2' ? 2 : t[1] === "'" ? 3 : 1
+  }));
+}
+
+let centerTable = null;
+
+function ensureCenterTable() {
+  if (centerTable) return centerTable;
+  // Relabel faces by whole-cube rotations, mirror L<->R, and invert, to cover every pattern
+  const rotX = { U: 'F', F: 'D', D: 'B', B: 'U', R: 'R', L: 'L' };
+  const rotY = { F: 'L', L: 'B', B: 'R', R: 'F', U: 'U', D: 'D' };
+  const mirror = { L: 'R', R: 'L', U: 'U', D: 'D', F: 'F', B: 'B' };
+  const relabel = (moves, map, flip) => moves.map(m => ({
+    face: FACES.indexOf(map[FACES[m.face]]),
+    quarters: flip ? (4 - m.quarters) % 4 : m.quarters
+  }));
+  const invert = moves => moves.slice().reverse().map(m => ({ face: m.face, quarters: (4 - m.quarters) % 4 }));
+  const byPattern = new Map();
+  for (const alg of CENTER_ALGS) {
+    const seen = new Set();
+    const stack = [parseFaceMoves(alg)];
+    while (stack.length) {
+      const moves = stack.pop();
+      const id = moves.map(m => m.face * 4 + m.quarters).join(',');
+      if (seen.has(id)) continue;
+      seen.add(id);
+      const twists = [0, 0, 0, 0, 0, 0];
+      for (const m of moves) twists[m.face] = (twists[m.face] + m.quarters) % 4;
+      const key = twistKey(twists);
+      const prev = byPattern.get(key);
+      if (!prev || prev.length > moves.length) byPattern.set(key, moves);
+      stack.push(relabel(moves, rotX), relabel(moves, rotY), relabel(moves, mirror, true), invert(moves));
+    }
+  }
+
+  // Cheapest combination of library algorithms reaching each twist pattern
+  const cost = new Array(4096).fill(Infinity);
+  const via = new Array(4096).fill(null);
+  cost[0] = 0;
+  const done = new Array(4096).fill(false);
+  for (;;) {
+    let cur = -1;
+    for (let k = 0; k < 4096; k++) if (!done[k] && cost[k] < Infinity && (cur < 0 || cost[k] < cost[cur])) cur = k;
+    if (cur < 0) break;
+    done[cur] = true;
+    for (const [key, moves] of byPattern) {
+      let next = 0;
+      for (let i = 0; i < 6; i++) next |= ((((cur >> (2 * i)) & 3) + ((key >> (2 * i)) & 3)) & 3) << (2 * i);
+      if (cost[cur] + moves.length < cost[next]) {
+        cost[next] = cost[cur] + moves.length;
+        via[next] = { from: cur, moves };
+      }
+    }
+  }
+  centerTable = { cost, via };
+  return centerTable;
+}
+
+// Face turns that untwist the centers; twists are in FACES order
+function centerFix(twists) {
+  const { via } = ensureCenterTable();
+  let key = twistKey(twists.map(t => (4 - t) % 4));
+  const out = [];
+  while (key !== 0) {
+    const step = via[key];
+    out.unshift(...step.moves);
+    key = step.from;
+  }
+  return out;
+}
+
+// Merge consecutive turns of the same face (also across a turn of the opposite face)
+function simplify(moves) {
+  const out = [];
+  for (const m of moves) {
+    let merged = false;
+    for (let i = out.length - 1; i >= 0 && i >= out.length - 2; i--) {
+      if (out[i].face === m.face) {
+        const q = (out[i].quarters + m.quarters) % 4;
+        if (q === 0) out.splice(i, 1);
+        else out[i] = { face: m.face, quarters: q };
+        merged = true;
+        break;
+      }
+      if (out[i].face % 3 !== m.face % 3) break;
+    }
+    if (!merged) out.push({ face: m.face, quarters: m.quarters });
+  }
+  return out;
+}
+
+function toTurn(m) {
+  const { axis, sign } = FACE_AXIS[FACES[m.face]];
+  if (m.quarters === 2) return { axis, sign, cw: true, quarters: 2 };
+  return { axis, sign, cw: m.quarters === 1, quarters: 1 };
+}
+
+function isValid(state, ignoreCenters) {
+  if (new Set(state.cp).size !== 8 || new Set(state.ep).size !== 12) return false;
+  if (state.co.reduce((a, b) => a + b, 0) % 3 !== 0) return false;
+  if (state.eo.reduce((a, b) => a + b, 0) % 2 !== 0) return false;
+  if (state.centerPerm.some((p, i) => p !== i)) return false;
+  const parity = perm => {
+    let p = 0;
+    for (let i = 0; i < perm.length; i++) for (let j = i + 1; j < perm.length; j++) if (perm[j] < perm[i]) p ^= 1;
+    return p;
+  };
+  if (parity(state.cp) !== parity(state.ep)) return false;
+  if (ignoreCenters) return true;
+  return state.centerTwist.reduce((a, b) => a + b, 0) % 2 === parity(state.cp);
+}
+
+// Returns a list of { axis, sign, cw, quarters } turns that solve the given cube-state.
+// Keeps searching for shorter solutions until timeLimit (ms) has passed or nodeLimit
+// phase-1 nodes have been visited; a node limit alone gives a reproducible result.
+// ignoreCenters: leave center twists as they end up (plain 3x3 with color stickers).
+export function solve(state, { timeLimit = 300, nodeLimit = Infinity, ignoreCenters = false } = {}) {
+  // Slices and rotations move the centers: search in the frame where they are home,
+  // then express the face turns in the current frame
+  const rotation = homeRotation(state);
+  const upright = applyMoves(clone(state), rotation);
+  return solveUpright(upright, timeLimit, nodeLimit, ignoreCenters).map(m => conjugateMove(m, rotation));
+}
+
+function solveUpright(state, timeLimit, nodeLimit, ignoreCenters) {
+  if (!isValid(state, ignoreCenters)) throw new Error('Cube state cannot be solved');
+  const t = ensureTables();
+  const centers = ensureCenterTable();
+  const deadline = performance.now() + timeLimit;
+
+  const twist0 = getTwist(state);
+  const flip0 = getFlip(state);
+  const slice0 = getSlice(state);
+  const path = [];
+  let best = null;
+  let bestCost = Infinity;
+  let nodes = 0;
+  let timeUp = false;
+
+  function finish(path2) {
+    const moves = path.concat(path2);
+    if (ignoreCenters) {
+      const full = simplify(moves);
+      if (full.length < bestCost) {
+        best = full;
+        bestCost = full.length;
+      }
+      return;
+    }
+    const twists = state.centerTwist.slice();
+    for (const m of moves) twists[m.face] = (twists[m.face] + m.quarters) % 4;
+    const fixKey = twistKey(twists.map(v => (4 - v) % 4));
+    if (moves.length + centers.cost[fixKey] >= bestCost + 4) return; // cannot win even after cancellations
+    const full = simplify(moves.concat(centerFix(twists)));
+    if (full.length < bestCost) {
+      best = full;
+      bestCost = full.length;
+    }
+  }
+
+  function search2(cp, ep, sp, depth, lastFace, path2) {
+    if (depth === 0) {
+      if (cp === 0 && ep === 0 && sp === 0) {
+        finish(path2);
+        return true;
+      }
+      return false;
+    }
+    if (Math.max(t.cornerSlicePrune[cp * N_SLICE_PERM + sp], t.edgeSlicePrune[ep * N_SLICE_PERM + sp]) > depth) return false;
+    for (const m of PHASE2_MOVES) {
+      const face = Math.floor(m / 3);
+      if (face === lastFace || face === lastFace - 3) continue;
+      path2.push({ face, quarters: (m % 3) + 1 });
+      const found = search2(
+        t.cornerPermMove[cp * N_MOVES + m],
+        t.udEdgePermMove[ep * N_MOVES + m],
+        t.slicePermMove[sp * N_MOVES + m],
+        depth - 1, face, path2
+      );
+      path2.pop();
+      if (found) return true;
+    }
+    return false;
+  }
+
+  function startPhase2() {
+    let c = { cp: state.cp.slice(), co: state.co.slice(), ep: state.ep.slice(), eo: state.eo.slice() };
+    for (const m of path) c = applyFace(c, m.face, m.quarters);
+    const cp = getCornerPerm(c), ep = getUdEdgePerm(c), sp = getSlicePerm(c);
+    const lastFace = path.length ? path[path.length - 1].face : -1;
+    const limit = Math.min(bestCost - 1 - path.length, 18);
+    for (let d = 0; d <= limit; d++) {
+      if (search2(cp, ep, sp, d, lastFace, [])) return;
+    }
+  }
+
+  function search1(twist, flip, slice, depth, lastFace) {
+    if ((++nodes & 1023) === 0 && best && (nodes >= nodeLimit || performance.now() > deadline)) timeUp = true;
+    if (timeUp) return;
+    if (depth === 0) {
+      if (twist === 0 && flip === 0 && slice === t.solvedSlice) {
+        // A phase-2 move as the last phase-1 move only repeats a shorter phase-1 solution
+        const last = path[path.length - 1];
+        if (last && (last.face === 0 || last.face === 3 || last.quarters === 2)) return;
+        startPhase2();
+      }
+      return;
+    }
+    if (Math.max(t.twistSlicePrune[twist * N_SLICE + slice], t.flipSlicePrune[flip * N_SLICE + slice]) > depth) return;
+    for (let face = 0; face < 6; face++) {
+      if (face === lastFace || face === lastFace - 3) continue;
+      for (let q = 0; q < 3; q++) {
+        const m = face * 3 + q;
+        path.push({ face, quarters: q + 1 });
+        search1(t.twistMove[twist * N_MOVES + m], t.flipMove[flip * N_MOVES + m], t.sliceMove[slice * N_MOVES + m], depth - 1, face);
+        path.pop();
+        if (timeUp) return;
+      }
+    }
+  }
+
+  for (let depth = 0; depth <= 20 && depth < bestCost && !timeUp; depth++) {
+    search1(twist0, flip0, slice0, depth, -1);
+  }
+  return best.map(toTurn);
+}
+
+// Warm up the lookup tables ahead of the first solve (takes about a second)
+export function prepareSolver() {
+  ensureTables();
+  ensureCenterTable();
+}
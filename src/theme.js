@@ -0,0 +1,171 @@
+// Face themes: the settings face-art.js draws each face from
+// - Per face: { type, hue, maxIter, zoom, swirl, cr, ci, seed }; cr/ci is the Julia constant,
+//   seed drives the palette and the random parts of a generator
+// - A theme travels as a string: either a code from encodeTheme ("1.eyJV…") that holds every
+//   setting, or any other word, which themeFromSeed turns into a random theme
+// - The current theme is kept in localStorage as its code, next to the Animated switch
+
+import { makeSeededRng } from './random.js';
+import { FACE_GENERATORS } from './face-art.js';
+
+const FACE_KEYS = ['U', 'D', 'L', 'R', 'F', 'B'];
+const STORAGE_KEY = 'psybik.theme';
+const ANIMATE_KEY = 'psybik.animateFaces';
+const CODE_VERSION = '1';
+
+export class ThemeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ThemeError';
+  }
+}
+
+// Allowed range and rounding of each numeric setting
+export const SETTING_LIMITS = {
+  hue: { min: 0, max: 360, step: 1 },
+  maxIter: { min: 10, max: 400, step: 1 },
+  zoom: { min: 0.2, max: 6, step: 0.01 },
+  swirl: { min: 0, max: 2, step: 0.01 },
+  cr: { min: -2, max: 2, step: 0.0001 },
+  ci: { min: -2, max: 2, step: 0.0001 }
+};
+
+// The original look: one hue per face, fractal type as the old per-face random pick gave it
+// (R is 200, not red: its old hue 0 always fell back to the 200 default)
+export const DEFAULT_THEME = {
+  U: { type: 'mandelbrot', hue: 52, maxIter: 80, zoom: 1.7, swirl: 0.55, cr: -0.745, ci: 0.186, seed: 'fractal-U' },
+  D: { type: 'burningship', hue: 20, maxIter: 80, zoom: 1.7, swirl: 0.55, cr: -0.391, ci: -0.587, seed: 'fractal-D' },
+  L: { type: 'julia2', hue: 135, maxIter: 80, zoom: 1.7, swirl: 0.55, cr: 0.355, ci: 0.355, seed: 'fractal-L' },
+  R: { type: 'burningship', hue: 200, maxIter: 80, zoom: 1.7, swirl: 0.55, cr: -0.70176, ci: -0.3842, seed: 'fractal-R' },
+  F: { type: 'multibrot3', hue: 220, maxIter: 80, zoom: 1.7, swirl: 0.55, cr: -0.8, ci: 0.156, seed: 'fractal-F' },
+  B: { type: 'burningship', hue: 285, maxIter: 80, zoom: 1.7, swirl: 0.55, cr: 0.285, ci: 0.01, seed: 'fractal-B' }
+};
+
+function roundTo(value, step) {
+  const digits = Math.max(0, -Math.floor(Math.log10(step)));
+  return Number((Math.round(value / step) * step).toFixed(digits));
+}
+
+// Settings with every field present, in range and rounded; unknown types fall back to `base`
+export function normalizeFaceSettings(settings, base) {
+  const out = { ...base };
+  if (FACE_GENERATORS.some(g => g.id === settings?.type)) out.type = settings.type;
+  for (const [key, { min, max, step }] of Object.entries(SETTING_LIMITS)) {
+    const value = Number(settings?.[key]);
+    if (settings?.[key] !== undefined && Number.isFinite(value)) out[key] = roundTo(Math.min(max, Math.max(min, value)), step);
+  }
+  if (typeof settings?.seed === 'string' && settings.seed) out.seed = settings.seed.slice(0, 64);
+  return out;
+}
+
+export function cloneTheme(theme) {
+  const out = {};
+  for (const face of FACE_KEYS) out[face] = { ...theme[face] };
+  return out;
+}
+
+// Random but reproducible theme: the same word gives the same theme everywhere
+export function themeFromSeed(word) {
+  const rnd = makeSeededRng(`theme-${word}`);
+  const pick = list => list[Math.floor(rnd() * list.length)];
+  const between = (min, max) => min + rnd() * (max - min);
+  const baseHue = Math.floor(rnd() * 360);
+  const theme = {};
+  FACE_KEYS.forEach((face, i) => {
+    // Hues spread around the wheel so faces stay apart
+    theme[face] = normalizeFaceSettings({
+      type: pick(FACE_GENERATORS).id,
+      hue: (baseHue + i * 60 + between(-15, 15) + 360) % 360,
+      maxIter: Math.round(between(60, 160)),
+      zoom: between(1.2, 2.4),
+      swirl: between(0, 1.2),
+      cr: between(-0.85, 0.4),
+      ci: between(-0.65, 0.65),
+      seed: `${word}-${face}`
+    }, DEFAULT_THEME[face]);
+  });
+  return theme;
+}
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
+
+// Short field names keep codes small enough to paste around
+const CODE_FIELDS = { type: 't', hue: 'h', maxIter: 'i', zoom: 'z', swirl: 's', cr: 'r', ci: 'c', seed: 'k' };
+
+export function encodeTheme(theme) {
+  const compact = {};
+  for (const face of FACE_KEYS) {
+    compact[face] = {};
+    for (const [field, short] of Object.entries(CODE_FIELDS)) compact[face][short] = theme[face][field];
+  }
+  return `${CODE_VERSION}.${toBase64Url(JSON.stringify(compact))}`;
+}
+
+// Theme for a string from encodeTheme, or the seeded theme of any other word.
+// Throws ThemeError for an empty string or a damaged code.
+export function decodeTheme(text) {
+  const value = String(text ?? '').trim();
+  if (!value) throw new ThemeError('Enter a theme code or a seed word');
+  const match = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(value);
+  if (!match) return themeFromSeed(value);
+  if (match[1] !== CODE_VERSION) throw new ThemeError(`Theme code version ${match[1]} is not supported`);
+  let compact;
+  try {
+    compact = JSON.parse(fromBase64Url(match[2]));
+  } catch {
+    throw new ThemeError('Theme code is damaged');
+  }
+  if (!compact || typeof compact !== 'object') throw new ThemeError('Theme code is damaged');
+  const theme = {};
+  for (const face of FACE_KEYS) {
+    const short = compact[face] || {};
+    const settings = {};
+    for (const [field, key] of Object.entries(CODE_FIELDS)) settings[field] = short[key];
+    theme[face] = normalizeFaceSettings(settings, DEFAULT_THEME[face]);
+  }
+  return theme;
+}
+
+export function loadTheme() {
+  try {
+    const code = localStorage.getItem(STORAGE_KEY);
+    return code ? decodeTheme(code) : cloneTheme(DEFAULT_THEME);
+  } catch {
+    return cloneTheme(DEFAULT_THEME);
+  }
+}
+
+export function saveTheme(theme) {
+  try {
+    localStorage.setItem(STORAGE_KEY, encodeTheme(theme));
+  } catch {
+    // Storage full or disabled: the theme lasts for this page only
+  }
+}
+
+// Whether faces are drawn animated by the GPU (face-shader.js) instead of as static images
+export function loadAnimateFaces() {
+  try {
+    return localStorage.getItem(ANIMATE_KEY) === '1';
+  } catch {
+    return false;
+  }
+}
+
+export function saveAnimateFaces(on) {
+  try {
+    localStorage.setItem(ANIMATE_KEY, on ? '1' : '0');
+  } catch {
+    // ignore
+  }
+}
@@ -0,0 +1,362 @@
+// Beginner tutorial: the layer-by-layer method on the 3x3, a few turns at a time
+// - Four stages, each checked against the cube before the next one starts: the cross and the
+//   corners of the first layer, the edges of the middle layer, then the last layer (a cross on
+//   top, its edges matched, its corners moved to their spots, then twisted)
+// - The first layer goes on the face that is furthest along (the bottom one when tied). A piece
+//   is done when it matches the centers, so rotations and slice turns change nothing
+// - nextHint(state) suggests the next turns in the cube's own frame: the shortest ones for a
+//   cross edge, otherwise the method's algorithms with the U turns that set them up. Turned
+//   center pictures, which the method does not cover, get one of three fixed center algorithms
+// - Pure logic on cube-state.js states so it runs headless; 3x3 only
+
+import {
+  CENTERS, CORNERS, EDGES, FACE_AXIS, applyMove, applyMoves, clone, conjugateMove, createSolvedState,
+  homeRotation, invertMoves, isSolved, mergeMoves
+} from './cube-state.js';
+import { formatMoves, parseMoves } from './notation.js';
+
+export const TUTORIAL_STAGES = ['Cross', 'First layer', 'Middle layer', 'Last layer'];
+
+const turns = text => parseMoves(text);
+const segment = (text, times = 1) => ({ moves: turns(text), times });
+
+// Whole-cube rotations that bring each face to the bottom, the bottom itself first
+const BOTTOMS = ['', 'x', "x'", 'z', "z'", 'x2'].map(turns);
+const Y_TURNS = ['', 'y', 'y2', "y'"].map(turns);
+
+// Slots of each stage in the frame with the first layer at the bottom
+const edgeSlots = names => names.map(n => EDGES.indexOf(n));
+const cornerSlots = names => names.map(n => CORNERS.indexOf(n));
+const CROSS = edgeSlots(['DF', 'DR', 'DB', 'DL']);
+const FIRST_CORNERS = cornerSlots(['DFR', 'DRB', 'DBL', 'DLF']);
+const MIDDLE = edgeSlots(['FR', 'BR', 'BL', 'FL']);
+const TOP_EDGES = edgeSlots(['UF', 'UR', 'UB', 'UL']);
+const TOP_CORNERS = cornerSlots(['URF', 'UBR', 'ULB', 'UFL']);
+const URF = CORNERS.indexOf('URF');
+const STAGE_SLOTS = [
+  { edges: CROSS, corners: [] },
+  { edges: [], corners: FIRST_CORNERS },
+  { edges: MIDDLE, corners: [] },
+  { edges: TOP_EDGES, corners: TOP_CORNERS }
+];
+
+// The method's algorithms; `around` gives one for each side of the cube
+const around = text => Y_TURNS.map(r => ({ moves: turns(text).map(m => conjugateMove(m, r)), times: 1 }));
+const U_TURNS = [null, segment('U'), segment('U2'), segment("U'")];
+const TRIGGERS = around("R U R' U'");
+const INSERTS = [...around("U R U' R' U' F' U F"), ...around("U' L' U L U F U' F'")];
+const TOP_CROSS = segment("F R U R' U' F'");
+const SUNE = segment("R U R' U R U2 R'");
+const CORNER_CYCLES = around("U R U' L' U R' U' L");
+const TWIST = segment("R' D' R D");
+
+// Pure center twists: U by half a turn, or U a quarter clockwise with R or D a quarter back
+const CENTER_ALGS = [
+  segment("U R L U2 R' L'", 2),
+  segment("U L R F B' U' D' R' D U B F' R' L'"),
+  segment("U L R F2 B2 L' R' D' R L B2 F2 R' L'")
+];
+
+// A frame is the cube turned so the first layer is at the bottom (rotation), with the position
+// it is solved towards: the solved cube with the same centers (target)
+function frameFor(state, rotation) {
+  const s = applyMoves(clone(state), rotation);
+  return { rotation, state: s, target: applyMoves(createSolvedState(), invertMoves(homeRotation(s))) };
+}
+
+function edgeDone(f, s, i) {
+  return s.ep[i] === f.target.ep[i] && s.eo[i] === f.target.eo[i];
+}
+
+function cornerDone(f, s, i) {
+  return s.cp[i] === f.target.cp[i] && s.co[i] === f.target.co[i];
+}
+
+// Pieces of the top layer facing the way they do when solved, wherever they are in it
+function edgeOriented(f, s, i) {
+  return s.eo[i] === f.target.eo[f.target.ep.indexOf(s.ep[i])];
+}
+
+function cornerOriented(f, s, i) {
+  return s.co[i] === f.target.co[f.target.cp.indexOf(s.cp[i])];
+}
+
+// Everything of the stages before `stage` done, plus the extra slots given
+function keeps(f, stage, { edges = [], corners = [] } = {}) {
+  const slots = STAGE_SLOTS.slice(0, stage);
+  const allEdges = slots.flatMap(x => x.edges).concat(edges);
+  const allCorners = slots.flatMap(x => x.corners).concat(corners);
+  return s => allEdges.every(i => edgeDone(f, s, i)) && allCorners.every(i => cornerDone(f, s, i));
+}
+
+// { stage, done, total }: the first stage not finished (4 when all are) and its pieces done
+function progressOf(f) {
+  for (let stage = 0; stage < STAGE_SLOTS.length; stage++) {
+    const { edges, corners } = STAGE_SLOTS[stage];
+    const done = edges.filter(i => edgeDone(f, f.state, i)).length + corners.filter(i => cornerDone(f, f.state, i)).length;
+    const total = edges.length + corners.length;
+    if (done < total) return { stage, done, total };
+  }
+  return { stage: 4, done: 0, total: 0 };
+}
+
+// Neighbouring groups done once run together, so U' U' reads U2 and U U' goes away
+function tidy(plan) {
+  const out = [];
+  for (const g of plan) {
+    const last = out[out.length - 1];
+    if (g.times === 1 && last?.times === 1) out[out.length - 1] = { moves: mergeMoves(last.moves.concat(g.moves)), times: 1 };
+    else out.push(g);
+  }
+  return out.filter(g => g.moves.length > 0);
+}
+
+const planLength = plan => tidy(plan).reduce((n, g) => n + g.moves.length * g.times, 0);
+
+function applySegments(s, plan) {
+  for (const { moves, times } of plan) {
+    for (let k = 0; k < times; k++) applyMoves(s, moves);
+  }
+  return s;
+}
+
+// The shortest pick of one option from each of `steps` (a null option skips the step) after
+// which goal holds; null when none does
+function shortestPlan(state, steps, goal, picked = []) {
+  if (steps.length === 0) return goal(state) ? picked : null;
+  let best = null;
+  for (const option of steps[0]) {
+    const s = option ? applySegments(clone(state), [option]) : state;
+    const plan = shortestPlan(s, steps.slice(1), goal, option ? picked.concat(option) : picked);
+    if (plan && (!best || planLength(plan) < planLength(best))) best = plan;
+  }
+  return best;
+}
+
+// Cross edges: an iterative deepening search over face turns that follows only the edges that
+// matter, each as slot * 2 + flip
+const FACE_TURNS = ['U', 'D', 'R', 'L', 'F', 'B'].flatMap(f => [f, `${f}'`, `${f}2`]).map(t => turns(t)[0]);
+const EDGE_TURNS = FACE_TURNS.map(m => {
+  const s = applyMove(createSolvedState(), m);
+  const next = [];
+  s.ep.forEach((from, to) => {
+    for (const o of [0, 1]) next[from * 2 + o] = to * 2 + (o + s.eo[to]) % 2;
+  });
+  return next;
+});
+
+// Fewest face turns from every slot and flip to `goal` (every turn's inverse is a turn too)
+function edgeDistances(goal) {
+  const dist = new Array(24).fill(-1);
+  dist[goal] = 0;
+  const queue = [goal];
+  for (let i = 0; i < queue.length; i++) {
+    for (const next of EDGE_TURNS) {
+      const y = next[queue[i]];
+      if (dist[y] < 0) {
+        dist[y] = dist[queue[i]] + 1;
+        queue.push(y);
+      }
+    }
+  }
+  return dist;
+}
+
+function crossPlan(f, slot, kept) {
+  const s = f.state;
+  const tracked = [slot, ...kept].map(i => {
+    const at = s.ep.indexOf(f.target.ep[i]);
+    return { code: at * 2 + s.eo[at], dist: edgeDistances(i * 2 + f.target.eo[i]) };
+  });
+  const path = [];
+  const search = (codes, depth, lastFace) => {
+    const h = Math.max(...codes.map((c, k) => tracked[k].dist[c]));
+    if (h === 0) return true;
+    if (h > depth) return false;
+    for (let t = 0; t < FACE_TURNS.length; t++) {
+      const face = Math.floor(t / 3);
+      if (face === lastFace) continue;
+      path.push(t);
+      if (search(codes.map(c => EDGE_TURNS[t][c]), depth - 1, face)) return true;
+      path.pop();
+    }
+    return false;
+  };
+  for (let depth = 0; depth <= 8; depth++) {
+    if (search(tracked.map(x => x.code), depth, -1)) return [{ moves: path.map(t => FACE_TURNS[t]), times: 1 }];
+  }
+  return null;
+}
+
+// The easiest of the pieces still to do: [plan, slot] with the shortest plan
+function easiest(slots, planFor) {
+  let best = null;
+  for (const slot of slots) {
+    const plan = planFor(slot);
+    if (plan && (!best || planLength(plan) < planLength(best[0]))) best = [plan, slot];
+  }
+  return best;
+}
+
+const repeated = list => list.flatMap(g => [1, 2, 3, 4, 5].map(times => ({ ...g, times })));
+const CORNER_STEPS = [[null, ...TRIGGERS], U_TURNS, repeated(TRIGGERS)];
+const MIDDLE_STEPS = [[null, ...INSERTS], U_TURNS, INSERTS];
+const TOP_CROSS_STEPS = [U_TURNS, [TOP_CROSS], U_TURNS, [null, TOP_CROSS], U_TURNS, [null, TOP_CROSS]];
+const TOP_EDGE_STEPS = [U_TURNS, [null, SUNE], U_TURNS, [null, SUNE], U_TURNS, [null, SUNE], U_TURNS];
+const TOP_CORNER_STEPS = [[null, ...CORNER_CYCLES], [null, ...CORNER_CYCLES], [null, ...CORNER_CYCLES]];
+
+// The last part is the beginner's corner twist: each twisted corner in turn is brought to the
+// front right with U and R' D' R D repeated (two or four times) until it faces up; the first
+// two layers look broken until the last corner is done
+function twistPlan(f) {
+  const s = clone(f.state);
+  const plan = [];
+  for (let k = 0; k < 4 && !TOP_CORNERS.every(i => cornerOriented(f, s, i)); k++) {
+    if (cornerOriented(f, s, URF)) {
+      const setup = U_TURNS.find(u => u && !cornerOriented(f, applySegments(clone(s), [u]), URF));
+      plan.push(setup);
+      applySegments(s, [setup]);
+    }
+    // Two goes twist it once and put the corner below back
+    let times = 0;
+    while (!cornerOriented(f, s, URF) && times < 4) {
+      applyMoves(s, TWIST.moves);
+      applyMoves(s, TWIST.moves);
+      times += 2;
+    }
+    plan.push({ ...TWIST, times });
+  }
+  const last = U_TURNS.find(u => keeps(f, 4)(u ? applySegments(clone(s), [u]) : s));
+  if (last === undefined) return null;
+  return last ? plan.concat(last) : plan;
+}
+
+// Each of those algorithms turned to every face (and backwards), keyed by the quarters it turns
+// the six centers by; read forwards where that does the job
+const CENTER_CASES = new Map();
+for (const backwards of [false, true]) {
+  for (const alg of CENTER_ALGS) {
+    for (const rotation of BOTTOMS.flatMap(bottom => Y_TURNS.map(y => bottom.concat(y)))) {
+      const turned = alg.moves.map(m => conjugateMove(m, rotation));
+      const moves = backwards ? invertMoves(turned) : turned;
+      const key = applySegments(createSolvedState(), [{ moves, times: alg.times }]).centerTwist.join('');
+      if (!CENTER_CASES.has(key)) CENTER_CASES.set(key, { moves, times: alg.times });
+    }
+  }
+}
+
+// One center algorithm: a center a quarter out goes back together with another one a quarter
+// out (the other way if there is one, otherwise that one is left half a turn out); with none
+// a quarter out, a center half a turn out goes back alone
+function centerPlan(f) {
+  const need = f.state.centerTwist.map((t, i) => (f.target.centerTwist[i] - t + 4) % 4);
+  const quarter = need.findIndex(n => n % 2 === 1);
+  const twists = [0, 0, 0, 0, 0, 0];
+  if (quarter < 0) {
+    twists[need.indexOf(2)] = 2;
+  } else {
+    const back = 4 - need[quarter];
+    let partner = need.findIndex((n, i) => i !== quarter && n === back);
+    if (partner < 0) partner = need.findIndex((n, i) => i !== quarter && n % 2 === 1);
+    twists[quarter] = need[quarter];
+    twists[partner] = back;
+  }
+  return [CENTER_CASES.get(twists.join(''))];
+}
+
+// Home position of a piece, which the renderer knows its cubelet by
+function homeOf(name) {
+  const p = [0, 0, 0];
+  for (const face of name) p['xyz'.indexOf(FACE_AXIS[face].axis)] = FACE_AXIS[face].sign;
+  return p;
+}
+
+const edgeHome = (f, slot) => homeOf(EDGES[f.target.ep[slot]]);
+const cornerHome = (f, slot) => homeOf(CORNERS[f.target.cp[slot]]);
+
+// The step to take next:
+//   { stage, stages: [{ name, done }], step, text, pieces, segments, moves }
+// stage indexes TUTORIAL_STAGES (4 when solved); pieces are the home positions of the cubelets
+// to look at; segments ({ moves, times }, a group of turns done `times` times) are the suggested
+// turns and moves the same turns one by one. Null for sizes other than 3x3.
+export function nextHint(state) {
+  if (state.pieces) return null;
+  let f = null;
+  let progress = null;
+  for (const rotation of BOTTOMS) {
+    const frame = frameFor(state, rotation);
+    const p = progressOf(frame);
+    if (!progress || p.stage * 8 + p.done > progress.stage * 8 + progress.done) {
+      f = frame;
+      progress = p;
+    }
+  }
+  // With every piece home, turned center pictures still belong to the last layer
+  const stage = progress.stage === 4 && !isSolved(state) ? 3 : progress.stage;
+  const s = f.state;
+  const hint = (step, text, pieces = [], plan = []) => {
+    const segments = tidy(plan).map(g => ({ moves: g.moves.map(m => conjugateMove(m, f.rotation)), times: g.times }));
+    return {
+      stage,
+      stages: TUTORIAL_STAGES.map((name, k) => ({ name, done: k < stage })),
+      step,
+      text,
+      pieces,
+      segments,
+      moves: segments.flatMap(g => Array.from({ length: g.times }, () => g.moves).flat())
+    };
+  };
+  const count = `${progress.done + 1} of ${progress.total}`;
+
+  if (stage === 0) {
+    const kept = CROSS.filter(i => edgeDone(f, s, i));
+    const [plan, slot] = easiest(CROSS.filter(i => !kept.includes(i)), i => crossPlan(f, i, kept));
+    return hint(`Cross, edge ${count}`, 'Bring the outlined edge down next to the bottom center so both of its sides match the centers beside them.', [edgeHome(f, slot)], plan);
+  }
+  if (stage === 1) {
+    const kept = FIRST_CORNERS.filter(i => cornerDone(f, s, i));
+    const [plan, slot] = easiest(FIRST_CORNERS.filter(i => !kept.includes(i)),
+      i => shortestPlan(s, CORNER_STEPS, keeps(f, 1, { corners: [...kept, i] })));
+    return hint(`First layer, corner ${count}`, 'Turn the top until the outlined corner is above its spot, then repeat the four turns until it drops in matching all three centers.', [cornerHome(f, slot)], plan);
+  }
+  if (stage === 2) {
+    const kept = MIDDLE.filter(i => edgeDone(f, s, i));
+    const [plan, slot] = easiest(MIDDLE.filter(i => !kept.includes(i)),
+      i => shortestPlan(s, MIDDLE_STEPS, keeps(f, 2, { edges: [...kept, i] })));
+    return hint(`Middle layer, edge ${count}`, 'Line the outlined edge up with the center it matches, then move it down between its two centers. The first layer comes back by itself.', [edgeHome(f, slot)], plan);
+  }
+  if (stage === 3) {
+    const unoriented = TOP_EDGES.filter(i => !edgeOriented(f, s, i));
+    if (unoriented.length) {
+      const plan = shortestPlan(s, TOP_CROSS_STEPS, x => TOP_EDGES.every(i => edgeOriented(f, x, i)));
+      return hint('Last layer: cross on top', 'Make a cross of top colors. The outlined edges still face the wrong way; the algorithm flips them, sometimes after a couple of goes.', unoriented.map(i => edgeHome(f, i)), plan);
+    }
+    const misplaced = TOP_EDGES.filter(i => !edgeDone(f, s, i));
+    if (misplaced.length) {
+      const plan = shortestPlan(s, TOP_EDGE_STEPS, x => TOP_EDGES.every(i => edgeDone(f, x, i)));
+      return hint('Last layer: top edges', 'Swap the top edges around until each matches the center below it.', misplaced.map(i => edgeHome(f, i)), plan);
+    }
+    const unplaced = TOP_CORNERS.filter(i => f.state.cp[i] !== f.target.cp[i]);
+    if (unplaced.length) {
+      const plan = shortestPlan(s, TOP_CORNER_STEPS, x => TOP_CORNERS.every(i => x.cp[i] === f.target.cp[i]));
+      return hint('Last layer: corner spots', 'Cycle the outlined corners into their spots. They may stay twisted for now.', unplaced.map(i => cornerHome(f, i)), plan);
+    }
+    const twisted = TOP_CORNERS.filter(i => !cornerDone(f, s, i));
+    if (twisted.length) {
+      return hint('Last layer: twist corners', 'Twist the outlined corners until the top is done. The lower layers get mixed up in between and come back with the last corner, so keep going.',
+        twisted.map(i => cornerHome(f, i)), twistPlan(f));
+    }
+    // Center pictures, which the beginner method does not cover
+    const turned = CENTERS.map((_, i) => i).filter(i => s.centerTwist[i] !== f.target.centerTwist[i]);
+    return hint('Last layer: center pictures', 'Every piece is home; only the outlined centers show their pictures turned. Each center algorithm turns one of them half a turn or two of them a quarter without moving anything else; a few may be needed.',
+      turned.map(i => homeOf(CENTERS[s.centerPerm[i]])), centerPlan(f));
+  }
+  return hint('Solved', 'Every layer is done.');
+}
+
+// The hint's turns as notation, groups done more than once as (R U R' U')×3
+export function hintNotation(hint) {
+  return hint.segments
+    .map(({ moves, times }) => (times > 1 ? `(${formatMoves(moves)})×${times}` : formatMoves(moves)))
+    .join(' ');
+}